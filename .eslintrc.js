@@ -44,6 +44,14 @@ module.exports = {
       env: {
         jest: true
       },
+      globals: {
+        createMockContext: 'readonly',
+        createMockCodePipelineEvent: 'readonly',
+        createMockPipelineEvent: 'readonly',
+        createMockZip: 'readonly',
+        createMockArtifact: 'readonly',
+        readMockRange: 'readonly'
+      },
       rules: {
         'no-unused-expressions': 'off'
       }
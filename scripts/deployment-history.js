@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+const AWS = require('aws-sdk');
+require('dotenv').config();
+
+const {
+    listDeployments,
+    findDeployedAt
+} = require('../src/lambda/deployment-orchestrator/history');
+const { listReleases } = require('../src/lambda/deployment-orchestrator/promotion');
+
+// Configure AWS SDK
+AWS.config.update({
+    region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const tableName = process.env.DEPLOYMENT_HISTORY_TABLE || 'lambdadeploy-deployment-history';
+
+async function showHistory() {
+    console.log('📜 LambdaDeploy Deployment History');
+    console.log('==================================\n');
+
+    try {
+        const [command, ...args] = process.argv.slice(2);
+        const options = parseOptions(args);
+
+        switch (command) {
+            case 'list':
+                await listTargetHistory(options);
+                break;
+            case 'at':
+                await showDeployedAt(options);
+                break;
+            case 'releases':
+                await showReleases(options);
+                break;
+            default:
+                showUsage();
+        }
+    } catch (error) {
+        console.error('❌ Failed to read deployment history:', error.message);
+        process.exit(1);
+    }
+}
+
+// --name value pairs; the first bare argument is the target
+function parseOptions(args) {
+    const options = { env: process.env.ENVIRONMENT || 'production' };
+
+    for (let index = 0; index < args.length; index++) {
+        if (args[index].startsWith('--')) {
+            options[args[index].slice(2)] = args[index + 1];
+            index++;
+        } else if (!options.target) {
+            options.target = args[index];
+        }
+    }
+
+    return options;
+}
+
+function showUsage() {
+    console.log('Usage: node deployment-history.js <command> [target] [options]');
+    console.log('\nCommands:');
+    console.log('  list <target>  - Deployments of one target, newest first');
+    console.log('  at [target]    - What was deployed at a point in time (--time, default now)');
+    console.log('  releases       - Artifacts that passed in an environment and can be promoted, newest first');
+    console.log('\nOptions:');
+    console.log('  --env <name>     Environment (default: $ENVIRONMENT or production)');
+    console.log('  --from <time>    list: only deployments started at or after this time');
+    console.log('  --to <time>      list: only deployments started at or before this time');
+    console.log('  --limit <n>      list, releases: number of entries to show (default: 20)');
+    console.log('  --time <time>    at: point in time, e.g. 2024-05-01T14:00:00Z');
+    console.log('\nTargets are named like lambda:<function>, ecs:<cluster>/<service> or s3:<bucket>/<prefix>');
+    console.log('\nExamples:');
+    console.log('  node scripts/deployment-history.js list lambda:lambdadeploy-app --env production');
+    console.log('  node scripts/deployment-history.js at --env production --time 2024-05-01T14:00:00Z');
+    console.log('  node scripts/deployment-history.js releases --env staging');
+}
+
+function toIsoTime(value) {
+    if (!value) {
+        return undefined;
+    }
+
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw new Error(`Not a valid time: ${value}`);
+    }
+    return time.toISOString();
+}
+
+async function listTargetHistory(options) {
+    if (!options.target) {
+        throw new Error('list needs a target, e.g. lambda:lambdadeploy-app');
+    }
+
+    const deployments = await listDeployments(dynamodb, tableName, {
+        target: options.target,
+        environment: options.env,
+        from: toIsoTime(options.from),
+        to: toIsoTime(options.to),
+        limit: Number(options.limit || 20)
+    });
+
+    if (deployments.length === 0) {
+        console.log(`No deployments of ${options.target} to ${options.env} found`);
+        return;
+    }
+
+    console.log(`Deployments of ${options.target} to ${options.env}:`);
+    console.log('---------------------------');
+    deployments.forEach(printDeployment);
+}
+
+async function showDeployedAt(options) {
+    const at = toIsoTime(options.time) || new Date().toISOString();
+    const deployments = await findDeployedAt(dynamodb, tableName, {
+        environment: options.env,
+        at,
+        target: options.target
+    });
+
+    if (deployments.length === 0) {
+        console.log(`Nothing had been deployed to ${options.env} by ${at}`);
+        return;
+    }
+
+    console.log(`Deployed to ${options.env} at ${at}:`);
+    console.log('---------------------------');
+    deployments.forEach(printDeployment);
+}
+
+async function showReleases(options) {
+    const releases = await listReleases(dynamodb, tableName, options.env, Number(options.limit || 20));
+
+    if (releases.length === 0) {
+        console.log(`Nothing has passed in ${options.env} yet`);
+        return;
+    }
+
+    console.log(`Releases of ${options.env}:`);
+    console.log('---------------------------');
+    for (const release of releases) {
+        console.log(`📦 ${release.artifactHash}`);
+        console.log(`   Verified: ${release.verifiedAt}  Job: ${release.jobId}`);
+        console.log(`   Commit: ${release.commitSha || '-'}  Promoted from: ${release.promotedFrom || '-'}`);
+        console.log(`   Location: s3://${release.artifactBucket}/${release.artifactKey}`);
+        console.log('');
+    }
+}
+
+function printDeployment(deployment) {
+    const icon = deployment.outcome === 'SUCCEEDED' ? '✅' : deployment.outcome === 'FAILED' ? '❌' : '⏭️';
+
+    console.log(`${icon} ${deployment.target} ${deployment.previousVersion || '-'} → ${deployment.newVersion || '-'}`);
+    console.log(`   Finished: ${deployment.finishedAt} (${Math.round(deployment.durationMs / 1000)}s)`);
+    console.log(`   Job: ${deployment.jobId}  Strategy: ${deployment.strategy || '-'}`);
+    console.log(`   Commit: ${deployment.commitSha || '-'}  Artifact: ${deployment.artifactHash || '-'}`);
+    if (deployment.error) {
+        console.log(`   Error: ${deployment.error}`);
+    }
+    console.log('');
+}
+
+// Run if called directly
+if (require.main === module) {
+    showHistory().catch(error => {
+        console.error('Failed to show deployment history:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { showHistory };
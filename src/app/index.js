@@ -4,6 +4,11 @@ const AWS = require('aws-sdk');
 exports.handler = async (event, context) => {
     console.log('LambdaDeploy App triggered:', JSON.stringify(event, null, 2));
     
+    // Post-deployment health checks from the deployment orchestrator
+    if (event && event.source === 'lambdadeploy.health-check') {
+        return exports.healthCheck(event, context);
+    }
+    
     const response = {
         statusCode: 200,
         headers: {
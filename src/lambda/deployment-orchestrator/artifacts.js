@@ -0,0 +1,303 @@
+// Pipeline artifacts are zip files in S3. They are read with ranged GETs (central directory first,
+// then single entries) so the orchestrator never holds a whole package in memory.
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const LOCAL_HEADER_SIZE = 30;
+// End of central directory record, the longest possible comment and the zip64 locator before it
+const TAIL_SIZE = EOCD_SIZE + 0xffff + ZIP64_LOCATOR_SIZE;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+function createS3Artifact(s3, name, { bucketName, objectKey }) {
+    const request = (range) => s3.getObject({
+        Bucket: bucketName,
+        Key: objectKey,
+        Range: `bytes=${range}`
+    });
+
+    return {
+        name,
+        location: { bucketName, objectKey },
+        read: async (range) => request(range).promise(),
+        stream: (range) => request(range).createReadStream()
+    };
+}
+
+// CodeBuild names its output BuildArtifact; a pipeline without a build stage only has SourceOutput
+function findApplicationArtifact(artifacts) {
+    return artifacts.BuildArtifact || artifacts.SourceOutput || null;
+}
+
+async function readBytes(artifact, start, length) {
+    const response = await artifact.read(`${start}-${start + length - 1}`);
+    return Buffer.from(response.Body);
+}
+
+function readUInt64(buffer, offset) {
+    return Number(buffer.readBigUInt64LE(offset));
+}
+
+async function readEndOfCentralDirectory(artifact) {
+    const response = await artifact.read(`-${TAIL_SIZE}`);
+    const tail = Buffer.from(response.Body);
+    const totalSize = Number(String(response.ContentRange).split('/')[1]);
+
+    let position = -1;
+    for (let index = tail.length - EOCD_SIZE; index >= 0; index--) {
+        if (tail.readUInt32LE(index) === EOCD_SIGNATURE) {
+            position = index;
+            break;
+        }
+    }
+    if (position === -1) {
+        throw new Error(`Artifact ${artifact.name} is not a zip file`);
+    }
+
+    let entryCount = tail.readUInt16LE(position + 10);
+    let directorySize = tail.readUInt32LE(position + 12);
+    let directoryOffset = tail.readUInt32LE(position + 16);
+
+    const locator = position - ZIP64_LOCATOR_SIZE;
+    if (locator >= 0 && tail.readUInt32LE(locator) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        const record = await readBytes(artifact, readUInt64(tail, locator + 8), 56);
+        if (record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+            throw new Error(`Artifact ${artifact.name} has a corrupt zip64 directory`);
+        }
+        entryCount = readUInt64(record, 32);
+        directorySize = readUInt64(record, 40);
+        directoryOffset = readUInt64(record, 48);
+    }
+
+    if (directoryOffset + directorySize > totalSize) {
+        throw new Error(`Artifact ${artifact.name} has a corrupt central directory`);
+    }
+
+    return { entryCount, directorySize, directoryOffset };
+}
+
+// Sizes and offsets too large for the 32-bit fields live in the zip64 extra field, in this order
+function applyZip64Extra(entry, extra) {
+    let offset = 0;
+    while (offset + 4 <= extra.length) {
+        const id = extra.readUInt16LE(offset);
+        const size = extra.readUInt16LE(offset + 2);
+        if (id === ZIP64_EXTRA_FIELD) {
+            let field = offset + 4;
+            for (const key of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+                if (entry[key] === 0xffffffff) {
+                    entry[key] = readUInt64(extra, field);
+                    field += 8;
+                }
+            }
+            return;
+        }
+        offset += 4 + size;
+    }
+}
+
+function parseCentralDirectory(artifact, directory, entryCount) {
+    const entries = new Map();
+    let offset = 0;
+
+    for (let index = 0; index < entryCount; index++) {
+        if (directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error(`Artifact ${artifact.name} has a corrupt central directory`);
+        }
+
+        const nameLength = directory.readUInt16LE(offset + 28);
+        const extraLength = directory.readUInt16LE(offset + 30);
+        const commentLength = directory.readUInt16LE(offset + 32);
+        const nameStart = offset + 46;
+
+        const entry = {
+            name: directory.toString('utf8', nameStart, nameStart + nameLength),
+            encrypted: (directory.readUInt16LE(offset + 8) & 0x1) === 1,
+            method: directory.readUInt16LE(offset + 10),
+            compressedSize: directory.readUInt32LE(offset + 20),
+            uncompressedSize: directory.readUInt32LE(offset + 24),
+            localHeaderOffset: directory.readUInt32LE(offset + 42)
+        };
+        applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+
+        if (!entry.name.endsWith('/')) {
+            entries.set(entry.name, entry);
+        }
+        offset = nameStart + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+// Entry names mapped to their location in the zip; cached on the artifact after the first call
+async function listArtifactEntries(artifact) {
+    if (!artifact.entries) {
+        const { entryCount, directorySize, directoryOffset } = await readEndOfCentralDirectory(artifact);
+        const directory = directorySize > 0
+            ? await readBytes(artifact, directoryOffset, directorySize)
+            : Buffer.alloc(0);
+        artifact.entries = parseCentralDirectory(artifact, directory, entryCount);
+    }
+    return artifact.entries;
+}
+
+async function findEntry(artifact, filePath) {
+    const entries = await listArtifactEntries(artifact);
+    const entry = entries.get(filePath.replace(/^\.?\//, ''));
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.encrypted) {
+        throw new Error(`${entry.name} in artifact ${artifact.name} is encrypted`);
+    }
+    if (entry.method !== STORED && entry.method !== DEFLATED) {
+        throw new Error(
+            `${entry.name} in artifact ${artifact.name} uses unsupported compression method ${entry.method}`
+        );
+    }
+
+    return entry;
+}
+
+// The local header repeats the name and may carry a different extra field, so its length is read first
+async function entryDataRange(artifact, entry) {
+    const header = await readBytes(artifact, entry.localHeaderOffset, LOCAL_HEADER_SIZE);
+    if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`${entry.name} in artifact ${artifact.name} has a corrupt local header`);
+    }
+
+    const start = entry.localHeaderOffset + LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+    return { start, length: entry.compressedSize };
+}
+
+// Returns the file contents as a Buffer, or null when the artifact does not contain it
+async function readArtifactFile(artifact, filePath) {
+    const entry = await findEntry(artifact, filePath);
+    if (!entry) {
+        return null;
+    }
+    if (entry.compressedSize === 0) {
+        return Buffer.alloc(0);
+    }
+
+    const { start, length } = await entryDataRange(artifact, entry);
+    const data = await readBytes(artifact, start, length);
+    return entry.method === DEFLATED ? zlib.inflateRawSync(data) : data;
+}
+
+async function readArtifactJson(artifact, filePath) {
+    const contents = await readArtifactFile(artifact, filePath);
+    if (contents === null) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(contents.toString('utf8'));
+    } catch (error) {
+        throw new Error(`${filePath} in the build artifact is not valid JSON: ${error.message}`);
+    }
+}
+
+// Lists the files under directory (the whole artifact by default) with paths relative to it
+async function listArtifactFiles(artifact, directory = '') {
+    const prefix = directory.replace(/^\.?\//, '').replace(/\/?$/, '/').replace(/^\/$/, '');
+    const entries = await listArtifactEntries(artifact);
+
+    return [...entries.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .map((name) => ({ name, path: name.slice(prefix.length) }));
+}
+
+// The entry's contents as a stream, inflated on the way
+async function openEntryStream(artifact, entry) {
+    if (entry.compressedSize === 0) {
+        return Readable.from([]);
+    }
+
+    const { start, length } = await entryDataRange(artifact, entry);
+    const compressed = artifact.stream(`${start}-${start + length - 1}`);
+    if (entry.method !== DEFLATED) {
+        return compressed;
+    }
+
+    const inflated = compressed.pipe(zlib.createInflateRaw());
+    compressed.on('error', (error) => inflated.destroy(error));
+    return inflated;
+}
+
+// Streams one file of the artifact to its own S3 object
+async function stageArtifactFile(s3, artifact, filePath, { bucketName, objectKey }) {
+    const entry = await findEntry(artifact, filePath);
+    if (!entry) {
+        return null;
+    }
+
+    const body = entry.compressedSize > 0 ? await openEntryStream(artifact, entry) : Buffer.alloc(0);
+
+    await s3.upload({
+        Bucket: bucketName,
+        Key: objectKey,
+        Body: body
+    }).promise();
+
+    console.log(`Staged ${filePath} from ${artifact.name} to s3://${bucketName}/${objectKey}`);
+    return { bucketName, objectKey };
+}
+
+// Streams the whole artifact to another S3 object. The artifact is read with its own (the orchestrator's)
+// client and only written with s3, so a target account never needs access to the artifact bucket.
+async function stageArtifactStream(s3, artifact, { bucketName, objectKey }) {
+    const result = await s3.upload({
+        Bucket: bucketName,
+        Key: objectKey,
+        Body: artifact.stream('0-')
+    }).promise();
+
+    console.log(`Staged artifact ${artifact.name} to s3://${bucketName}/${objectKey}`);
+    return { bucketName, objectKey, etag: result.ETag };
+}
+
+// Base64 SHA-256, the format Lambda reports a package's CodeSha256 in
+async function hashStream(stream) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash.digest('base64');
+}
+
+// Hash of the whole artifact zip, i.e. of the package when the artifact is deployed as is
+async function hashArtifact(artifact) {
+    return hashStream(artifact.stream('0-'));
+}
+
+// Hash of one file in the artifact, or null when the artifact does not contain it
+async function hashArtifactFile(artifact, filePath) {
+    const entry = await findEntry(artifact, filePath);
+    return entry ? hashStream(await openEntryStream(artifact, entry)) : null;
+}
+
+module.exports = {
+    createS3Artifact,
+    findApplicationArtifact,
+    listArtifactEntries,
+    readArtifactFile,
+    readArtifactJson,
+    listArtifactFiles,
+    stageArtifactFile,
+    stageArtifactStream,
+    hashArtifact,
+    hashArtifactFile
+};
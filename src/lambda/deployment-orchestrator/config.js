@@ -0,0 +1,227 @@
+// Deployment configuration: environment defaults overridden by the action's UserParameters JSON
+
+const { DEFAULT_ALIAS_NAME } = require('./traffic-shifting');
+const { DEFAULT_MANIFEST_FILE } = require('./manifest');
+const { listTargets } = require('./targets');
+const { checkSmokeTests } = require('./smoke-tests');
+const { checkRoleArn } = require('./credentials');
+const { REGION_ORDERS, checkRegions } = require('./regions');
+
+// Reported to CodePipeline as a ConfigurationError instead of a generic JobFailed
+class ConfigurationError extends Error {
+    constructor(message, fieldErrors = []) {
+        super(message);
+        this.name = 'ConfigurationError';
+        this.failureType = 'ConfigurationError';
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+// Settings shared by every deployment type; each registered target adds its own fields
+const COMMON_SCHEMA = {
+    deploymentType: { type: 'string', required: true },
+    environment: { type: 'string', required: true },
+    region: { type: 'string', required: true },
+    locksTable: { type: 'string' },
+    lockWaitMinutes: { type: 'number', min: 0 },
+    historyTable: { type: 'string' },
+    dryRun: { type: 'boolean' },
+    roleArn: { type: ['string', 'array'], check: checkRoleArn },
+    externalId: { type: 'string' },
+    regions: { type: 'array', items: 'string', check: checkRegions },
+    regionOrder: { type: 'string', enum: REGION_ORDERS },
+    promotionBucket: { type: 'string' },
+    promoteFrom: { type: 'string' },
+    promoteArtifactHash: { type: 'string' },
+    smokeTests: { type: 'array', items: 'object', check: checkSmokeTests }
+};
+
+// Every setting the orchestrator understands. Anything else in UserParameters is rejected so typos fail early.
+// A field required by a target is only required when that target is the deploymentType.
+function buildConfigSchema(targets = listTargets()) {
+    const schema = {
+        ...COMMON_SCHEMA,
+        deploymentType: { ...COMMON_SCHEMA.deploymentType, enum: targets.map((target) => target.type) }
+    };
+
+    for (const target of targets) {
+        for (const [name, { required, ...rule }] of Object.entries(target.schema || {})) {
+            const requiredFor = [...((schema[name] && schema[name].requiredFor) || [])];
+            if (required) {
+                requiredFor.push(target.type);
+            }
+            schema[name] = { ...schema[name], ...rule, requiredFor };
+        }
+    }
+
+    return schema;
+}
+
+function parseList(value) {
+    if (!value) {
+        return null;
+    }
+
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function defaultsFromEnvironment(env) {
+    return {
+        deploymentType: env.DEPLOYMENT_TYPE || 'lambda',
+        targetFunction: env.TARGET_FUNCTION_NAME || 'lambdadeploy-app',
+        environment: env.ENVIRONMENT || 'development',
+        deploymentStrategy: env.DEPLOYMENT_STRATEGY || 'AllAtOnce',
+        aliasName: env.TARGET_ALIAS_NAME || DEFAULT_ALIAS_NAME,
+        healthCheck: env.HEALTH_CHECK_ENABLED === 'true',
+        alarmNames: parseList(env.ROLLBACK_ALARM_NAMES) ||
+            [`${env.PIPELINE_NAME || 'lambdadeploy-pipeline'}-lambda-error-alarm`],
+        verificationWindowMinutes: Number(env.VERIFICATION_WINDOW_MINUTES || 0),
+        s3DeployMode: env.S3_DEPLOY_MODE || 'archive',
+        manifestFile: env.DEPLOY_MANIFEST_FILE || DEFAULT_MANIFEST_FILE,
+        locksTable: env.DEPLOYMENT_LOCKS_TABLE || undefined,
+        lockWaitMinutes: Number(env.LOCK_WAIT_MINUTES || 0),
+        historyTable: env.DEPLOYMENT_HISTORY_TABLE || undefined,
+        promotionBucket: env.PROMOTION_BUCKET || undefined,
+        dryRun: env.DRY_RUN === 'true',
+        region: env.AWS_REGION || 'us-east-1'
+    };
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+function validateField(name, value, rule) {
+    const types = [].concat(rule.type);
+    const actualType = typeOf(value);
+
+    if (!types.includes(actualType)) {
+        return `${name}: expected ${types.join(' or ')}, got ${actualType}`;
+    }
+    if (Number.isNaN(value)) {
+        return `${name}: must be a number`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `${name}: must be one of ${rule.enum.join(', ')}, got "${value}"`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `${name}: must be at least ${rule.min}`;
+    }
+    if (rule.items) {
+        const invalid = value.findIndex((item) => typeOf(item) !== rule.items);
+        if (invalid !== -1) {
+            return `${name}: entry ${invalid} must be a ${rule.items}`;
+        }
+    }
+    if (rule.check) {
+        const problem = rule.check(value);
+        if (problem) {
+            return `${name}: ${problem}`;
+        }
+    }
+
+    return null;
+}
+
+// Returns one message per invalid field; an empty list means the config is valid
+function validateConfig(config, schema = buildConfigSchema()) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries(config)) {
+        const rule = schema[name];
+        if (!rule) {
+            errors.push(`${name}: is not a known setting`);
+            continue;
+        }
+        if (value === undefined) {
+            continue;
+        }
+
+        const problem = validateField(name, value, rule);
+        if (problem) {
+            errors.push(problem);
+        }
+    }
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const missing = config[name] === undefined || config[name] === '';
+        const required = rule.required || (rule.requiredFor || []).includes(config.deploymentType);
+        if (missing && required) {
+            errors.push(!rule.required
+                ? `${name}: is required for ${config.deploymentType} deployments`
+                : `${name}: is required`);
+        }
+    }
+
+    // Releases to promote are looked up in the history table
+    if (config.promoteFrom !== undefined && !config.historyTable) {
+        errors.push('promoteFrom: needs historyTable (DEPLOYMENT_HISTORY_TABLE) to find what passed');
+    }
+    if (config.promoteFrom !== undefined && config.promoteFrom === config.environment) {
+        errors.push(`promoteFrom: cannot promote from ${config.environment} to itself`);
+    }
+    if (config.promoteArtifactHash !== undefined && config.promoteFrom === undefined) {
+        errors.push('promoteArtifactHash: only applies with promoteFrom');
+    }
+
+    // Only Lambda deployments have a function for invoke smoke tests to default to
+    const unnamed = (config.smokeTests || []).findIndex((test) => test.type === 'invoke' && !test.functionName);
+    if (unnamed !== -1 && config.deploymentType !== 'lambda') {
+        errors.push(`smokeTests: entry ${unnamed} needs a functionName for ${config.deploymentType} deployments`);
+    }
+
+    // Checks that span several fields belong to the selected target
+    const target = listTargets().find((candidate) => candidate.type === config.deploymentType);
+    if (errors.length === 0 && target && target.validate) {
+        errors.push(...target.validate(config));
+    }
+
+    return errors;
+}
+
+// CodePipeline passes UserParameters as a single string; ours must be a JSON object
+function parseUserParameters(userParameters) {
+    if (userParameters === undefined || userParameters === '') {
+        return {};
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(userParameters);
+    } catch (error) {
+        throw new ConfigurationError(`UserParameters is not valid JSON: ${error.message}`);
+    }
+
+    if (typeOf(parsed) !== 'object') {
+        throw new ConfigurationError(`UserParameters must be a JSON object, got ${typeOf(parsed)}`);
+    }
+
+    return parsed;
+}
+
+function loadDeploymentConfig(jobData, env = process.env) {
+    const actionConfig = (jobData.actionConfiguration && jobData.actionConfiguration.configuration) || {};
+
+    const config = {
+        ...defaultsFromEnvironment(env),
+        ...parseUserParameters(actionConfig.UserParameters)
+    };
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new ConfigurationError(`Invalid deployment configuration: ${errors.join('; ')}`, errors);
+    }
+
+    return config;
+}
+
+module.exports = {
+    buildConfigSchema,
+    ConfigurationError,
+    validateConfig,
+    parseUserParameters,
+    loadDeploymentConfig
+};
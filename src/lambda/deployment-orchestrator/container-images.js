@@ -0,0 +1,70 @@
+// Container-image Lambda packages: the image to deploy comes from an image detail file in the build
+// artifact, and the function is pinned to the image's digest so a moved tag cannot change what runs
+
+const { readArtifactJson } = require('./artifacts');
+
+const DEFAULT_IMAGE_DETAIL_FILE = 'imageDetail.json';
+const DIGEST_PATTERN = /^sha256:[a-f0-9]{64}$/;
+
+// "<registry>/<repository>:<tag>" or "<registry>/<repository>@<digest>" without the tag or digest
+function repositoryOf(imageUri) {
+    const [withoutDigest] = imageUri.split('@');
+    const tagSeparator = withoutDigest.lastIndexOf(':');
+    return tagSeparator > withoutDigest.lastIndexOf('/') ? withoutDigest.slice(0, tagSeparator) : withoutDigest;
+}
+
+function digestOf(imageUri) {
+    const digest = imageUri.split('@')[1];
+    return digest && DIGEST_PATTERN.test(digest) ? digest : null;
+}
+
+// imageDetail.json is the file CodeBuild writes for ECR images: { "ImageURI": ..., "ImageDigest": ... }.
+// The digest may instead be part of the URI. Returns { imageUri, imageDigest } with the URI pinned to it.
+async function readImageDetail(artifact, fileName = DEFAULT_IMAGE_DETAIL_FILE) {
+    const detail = await readArtifactJson(artifact, fileName);
+    if (detail === null) {
+        throw new Error(`${fileName} not found in the build artifact`);
+    }
+    if (!detail || typeof detail.ImageURI !== 'string' || detail.ImageURI === '') {
+        throw new Error(`${fileName} must have an ImageURI`);
+    }
+
+    const imageDigest = detail.ImageDigest || digestOf(detail.ImageURI);
+    if (!imageDigest || !DIGEST_PATTERN.test(imageDigest)) {
+        throw new Error(`${fileName} must have an ImageDigest (sha256:<hex>) or an ImageURI with a digest`);
+    }
+
+    return {
+        imageUri: `${repositoryOf(detail.ImageURI)}@${imageDigest}`,
+        imageDigest
+    };
+}
+
+// The image a function runs as { resolvedImageUri, imageDigest }
+async function getDeployedImage(lambda, functionName) {
+    const deployed = await lambda.getFunction({ FunctionName: functionName }).promise();
+    const resolvedImageUri = (deployed.Code && deployed.Code.ResolvedImageUri) || null;
+
+    return { resolvedImageUri, imageDigest: resolvedImageUri ? digestOf(resolvedImageUri) : null };
+}
+
+// Lambda resolves the image when the code update is applied; the result must be the image that was built
+async function verifyImageDigest(lambda, functionName, imageDigest) {
+    const deployed = await getDeployedImage(lambda, functionName);
+
+    if (deployed.imageDigest !== imageDigest) {
+        throw new Error(
+            `${functionName} runs image ${deployed.imageDigest || deployed.resolvedImageUri || 'unknown'}, ` +
+            `expected ${imageDigest}`
+        );
+    }
+
+    return deployed.resolvedImageUri;
+}
+
+module.exports = {
+    DEFAULT_IMAGE_DETAIL_FILE,
+    readImageDetail,
+    getDeployedImage,
+    verifyImageDigest
+};
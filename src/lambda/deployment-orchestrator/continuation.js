@@ -0,0 +1,70 @@
+// Long-running deployments: progress is saved to S3 between invocations and CodePipeline is handed
+// a continuation token (the state object's key), so it invokes the orchestrator again to resume.
+
+const STATE_PREFIX = 'lambdadeploy-state/';
+// Left at the end of every invocation for saving state and reporting back to CodePipeline
+const RESERVED_TIME_MS = 60000;
+
+function stateKey(jobId) {
+    return `${STATE_PREFIX}${jobId}.json`;
+}
+
+// How long the current invocation may keep working; unlimited when there is no Lambda context
+function createTimeBudget(context, reservedMs = RESERVED_TIME_MS) {
+    if (!context || typeof context.getRemainingTimeInMillis !== 'function') {
+        return () => Infinity;
+    }
+
+    return () => Math.max(0, context.getRemainingTimeInMillis() - reservedMs);
+}
+
+async function loadDeploymentState(s3, bucketName, continuationToken) {
+    if (!continuationToken) {
+        return {};
+    }
+    if (!continuationToken.startsWith(STATE_PREFIX)) {
+        throw new Error(`Unrecognized continuation token: ${continuationToken}`);
+    }
+
+    try {
+        const response = await s3.getObject({
+            Bucket: bucketName,
+            Key: continuationToken
+        }).promise();
+
+        return JSON.parse(response.Body.toString('utf8'));
+    } catch (error) {
+        throw new Error(`Could not load deployment state ${continuationToken}: ${error.message}`);
+    }
+}
+
+// Returns the continuation token for the saved state
+async function saveDeploymentState(s3, bucketName, key, state) {
+    await s3.putObject({
+        Bucket: bucketName,
+        Key: key,
+        Body: JSON.stringify(state),
+        ContentType: 'application/json'
+    }).promise();
+
+    return key;
+}
+
+async function deleteDeploymentState(s3, bucketName, continuationToken) {
+    if (!continuationToken) {
+        return;
+    }
+
+    await s3.deleteObject({
+        Bucket: bucketName,
+        Key: continuationToken
+    }).promise();
+}
+
+module.exports = {
+    stateKey,
+    createTimeBudget,
+    loadDeploymentState,
+    saveDeploymentState,
+    deleteDeploymentState
+};
@@ -0,0 +1,56 @@
+// Cross-account deployments: the orchestrator assumes the roles a deployment names, one after another,
+// and creates the target's clients with the credentials of the last one
+
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::\d{12}:role\/[\w+=,.@/-]+$/;
+const SESSION_NAME_LENGTH = 64;
+
+// Config check for roleArn: one role, or a chain in which each role is assumed with the previous one's credentials
+function checkRoleArn(value) {
+    const roleArns = [].concat(value);
+    if (roleArns.length === 0) {
+        return 'must name at least one role';
+    }
+
+    const invalid = roleArns.find((roleArn) => typeof roleArn !== 'string' || !ROLE_ARN_PATTERN.test(roleArn));
+    return invalid === undefined ? null : `${JSON.stringify(invalid)} is not an IAM role ARN`;
+}
+
+// Shows up in the target account's CloudTrail, so it names the job that made the change
+function sessionNameFor(jobId) {
+    return `lambdadeploy-${jobId || 'deployment'}`.replace(/[^\w+=,.@-]/g, '-').slice(0, SESSION_NAME_LENGTH);
+}
+
+// createSts(credentials) returns an STS client signing with those credentials, or the function's own for null.
+// externalId is only sent for the last role: it is the one the other account hands out.
+// Returns { accessKeyId, secretAccessKey, sessionToken }, ready to pass to an AWS client constructor.
+async function assumeRoleChain(createSts, roleArns, { externalId, sessionName }) {
+    let credentials = null;
+
+    for (const [index, roleArn] of roleArns.entries()) {
+        const last = index === roleArns.length - 1;
+        let response;
+        try {
+            response = await createSts(credentials).assumeRole({
+                RoleArn: roleArn,
+                RoleSessionName: sessionName,
+                ...(last && externalId ? { ExternalId: externalId } : {})
+            }).promise();
+        } catch (error) {
+            throw new Error(`Could not assume ${roleArn}: ${error.message}`);
+        }
+
+        credentials = {
+            accessKeyId: response.Credentials.AccessKeyId,
+            secretAccessKey: response.Credentials.SecretAccessKey,
+            sessionToken: response.Credentials.SessionToken
+        };
+    }
+
+    return credentials;
+}
+
+module.exports = {
+    checkRoleArn,
+    sessionNameFor,
+    assumeRoleChain
+};
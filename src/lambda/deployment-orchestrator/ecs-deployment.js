@@ -0,0 +1,274 @@
+// ECS service deployment: new task definition revision from the build artifact, then wait for stability
+
+const { readArtifactJson } = require('./artifacts');
+const { sleep } = require('./utils');
+
+const DEFAULT_IMAGE_DEFINITIONS_FILE = 'imagedefinitions.json';
+const STABILITY_POLL_INTERVAL_MS = 15000;
+// Across all invocations of a resumed deployment
+const STABILIZATION_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Fields returned by describeTaskDefinition that registerTaskDefinition does not accept
+const READ_ONLY_TASK_DEFINITION_FIELDS = [
+    'taskDefinitionArn',
+    'revision',
+    'status',
+    'requiresAttributes',
+    'compatibilities',
+    'registeredAt',
+    'registeredBy',
+    'deregisteredAt'
+];
+
+// imagedefinitions.json is the format the CodePipeline ECS action uses: [{ "name": ..., "imageUri": ... }]
+async function readImageDefinitions(artifact, fileName) {
+    const imageDefinitions = await readArtifactJson(artifact, fileName);
+    if (imageDefinitions === null) {
+        return null;
+    }
+
+    if (!Array.isArray(imageDefinitions) ||
+        imageDefinitions.some((definition) => !definition.name || !definition.imageUri)) {
+        throw new Error(`${fileName} must be a list of { "name", "imageUri" } entries`);
+    }
+
+    return imageDefinitions;
+}
+
+async function getCurrentTaskDefinition(ecs, cluster, service) {
+    const described = await ecs.describeServices({
+        cluster,
+        services: [service]
+    }).promise();
+
+    const current = described.services && described.services[0];
+    if (!current) {
+        throw new Error(`ECS service ${service} not found in cluster ${cluster}`);
+    }
+
+    const taskDefinition = await ecs.describeTaskDefinition({
+        taskDefinition: current.taskDefinition
+    }).promise();
+
+    return taskDefinition.taskDefinition;
+}
+
+function buildTaskDefinition(base, imageDefinitions) {
+    const taskDefinition = { ...base };
+    READ_ONLY_TASK_DEFINITION_FIELDS.forEach((field) => delete taskDefinition[field]);
+
+    if (!imageDefinitions) {
+        return taskDefinition;
+    }
+
+    const containerNames = taskDefinition.containerDefinitions.map((container) => container.name);
+    const unknown = imageDefinitions
+        .map((definition) => definition.name)
+        .filter((name) => !containerNames.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Task definition has no container named ${unknown.join(', ')}`);
+    }
+
+    taskDefinition.containerDefinitions = taskDefinition.containerDefinitions.map((container) => {
+        const definition = imageDefinitions.find((item) => item.name === container.name);
+        return definition ? { ...container, image: definition.imageUri } : container;
+    });
+
+    return taskDefinition;
+}
+
+// Reasons the tasks of the new revision stopped; tasks drained from the old revision are ignored
+async function describeStoppedTaskReasons(ecs, cluster, service, taskDefinitionArn) {
+    const stopped = await ecs.listTasks({
+        cluster,
+        serviceName: service,
+        desiredStatus: 'STOPPED'
+    }).promise();
+
+    if (!stopped.taskArns || stopped.taskArns.length === 0) {
+        return [];
+    }
+
+    const described = await ecs.describeTasks({
+        cluster,
+        tasks: stopped.taskArns.slice(0, 100)
+    }).promise();
+
+    const reasons = [];
+    const tasks = (described.tasks || []).filter((task) => task.taskDefinitionArn === taskDefinitionArn);
+    for (const task of tasks) {
+        if (task.stoppedReason) {
+            reasons.push(task.stoppedReason);
+        }
+        for (const container of task.containers || []) {
+            if (container.reason) {
+                reasons.push(`${container.name}: ${container.reason}`);
+            }
+        }
+    }
+
+    return [...new Set(reasons)];
+}
+
+// Same conditions as the servicesStable waiter: a single deployment with all desired tasks running
+function isServiceStable(service) {
+    const deployments = service.deployments || [];
+    return deployments.length === 1 && service.runningCount === service.desiredCount;
+}
+
+async function stabilizationFailure(ecs, cluster, service, taskDefinitionArn) {
+    const reasons = await describeStoppedTaskReasons(ecs, cluster, service, taskDefinitionArn);
+    const details = reasons.length > 0 ? `: ${reasons.join('; ')}` : '';
+    return new Error(`Service ${service} did not stabilize on ${taskDefinitionArn}${details}`);
+}
+
+// Polls the service until it is stable or timeRemaining() runs out (then returns false).
+// Fails when ECS marks the rollout as failed or the service is still unstable after the timeout.
+async function waitForStableService(ecs, cluster, service, state, timeRemaining) {
+    const stopAt = Date.now() + timeRemaining();
+
+    for (;;) {
+        const described = await ecs.describeServices({
+            cluster,
+            services: [service]
+        }).promise();
+
+        const current = described.services[0];
+        const primary = (current.deployments || []).find((deployment) => deployment.status === 'PRIMARY');
+        if (primary && primary.rolloutState === 'FAILED') {
+            throw await stabilizationFailure(ecs, cluster, service, state.taskDefinitionArn);
+        }
+        if (isServiceStable(current)) {
+            return true;
+        }
+        if (Date.now() - state.startedAt >= STABILIZATION_TIMEOUT_MS) {
+            throw await stabilizationFailure(ecs, cluster, service, state.taskDefinitionArn);
+        }
+
+        const wait = Math.min(STABILITY_POLL_INTERVAL_MS, stopAt - Date.now());
+        if (wait <= 0) {
+            return false;
+        }
+        await sleep(wait);
+    }
+}
+
+// The service's current task definition and the one the artifact turns it into
+async function prepareTaskDefinition(ecs, artifact, options) {
+    const { cluster, service, imageDefinitionsFile, taskDefinitionTemplate } = options;
+    const imageDefinitions = await readImageDefinitions(artifact, imageDefinitionsFile);
+
+    // A task definition template in the artifact wins over the one the service currently runs
+    let base = null;
+    if (taskDefinitionTemplate) {
+        base = await readArtifactJson(artifact, taskDefinitionTemplate);
+        if (base === null) {
+            throw new Error(`Task definition template ${taskDefinitionTemplate} not found in the build artifact`);
+        }
+    }
+
+    if (!base && !imageDefinitions) {
+        throw new Error(`Build artifact contains neither ${imageDefinitionsFile} nor a task definition template`);
+    }
+
+    const current = await getCurrentTaskDefinition(ecs, cluster, service);
+    return { current, taskDefinition: buildTaskDefinition(base || current, imageDefinitions) };
+}
+
+// Registers the new revision and points the service at it
+async function startEcsDeployment(ecs, artifact, options) {
+    const { cluster, service } = options;
+    const { current, taskDefinition } = await prepareTaskDefinition(ecs, artifact, options);
+
+    const registered = await ecs.registerTaskDefinition(taskDefinition).promise();
+    const taskDefinitionArn = registered.taskDefinition.taskDefinitionArn;
+    console.log('Registered task definition:', taskDefinitionArn);
+
+    const updateResult = await ecs.updateService({
+        cluster,
+        service,
+        taskDefinition: taskDefinitionArn
+    }).promise();
+
+    return {
+        serviceArn: updateResult.service.serviceArn,
+        taskDefinitionArn,
+        previousTaskDefinition: current.taskDefinitionArn,
+        images: taskDefinition.containerDefinitions.map((container) => ({
+            name: container.name,
+            image: container.image
+        })),
+        startedAt: Date.now()
+    };
+}
+
+// checkpoint ({ state, timeRemaining }) lets the wait for stability continue in a later invocation:
+// the result is { inProgress: true } until the service is stable, with the rollout kept in state
+async function deployEcsService(ecs, artifact, options, checkpoint = {}) {
+    const cluster = options.clusterName || 'default';
+    const service = options.serviceName;
+    const state = checkpoint.state || {};
+    const timeRemaining = checkpoint.timeRemaining || (() => Infinity);
+
+    // A resumed deployment has already updated the service and only waits for it
+    if (!state.taskDefinitionArn) {
+        Object.assign(state, await startEcsDeployment(ecs, artifact, {
+            cluster,
+            service,
+            imageDefinitionsFile: options.imageDefinitionsFile || DEFAULT_IMAGE_DEFINITIONS_FILE,
+            taskDefinitionTemplate: options.taskDefinitionTemplate
+        }));
+    }
+
+    const stable = await waitForStableService(ecs, cluster, service, state, timeRemaining);
+    if (!stable) {
+        return {
+            inProgress: true,
+            summary: `Waiting for ECS service ${service} to stabilize on ${state.taskDefinitionArn}`
+        };
+    }
+
+    console.log('ECS service is stable:', service);
+
+    return {
+        type: 'ecs',
+        serviceArn: state.serviceArn,
+        taskDefinition: state.taskDefinitionArn,
+        previousTaskDefinition: state.previousTaskDefinition,
+        images: state.images
+    };
+}
+
+// What deployEcsService would change, read without registering or updating anything
+async function planEcsService(ecs, artifact, options) {
+    const cluster = options.clusterName || 'default';
+    const { current, taskDefinition } = await prepareTaskDefinition(ecs, artifact, {
+        cluster,
+        service: options.serviceName,
+        imageDefinitionsFile: options.imageDefinitionsFile || DEFAULT_IMAGE_DEFINITIONS_FILE,
+        taskDefinitionTemplate: options.taskDefinitionTemplate
+    });
+
+    const images = taskDefinition.containerDefinitions
+        .map((container) => {
+            const running = current.containerDefinitions.find((item) => item.name === container.name);
+            return { name: container.name, before: running ? running.image : null, after: container.image };
+        })
+        .filter((image) => image.before !== image.after);
+
+    return {
+        cluster,
+        service: options.serviceName,
+        taskDefinition: current.taskDefinitionArn,
+        images
+    };
+}
+
+module.exports = {
+    DEFAULT_IMAGE_DEFINITIONS_FILE,
+    readImageDefinitions,
+    buildTaskDefinition,
+    describeStoppedTaskReasons,
+    deployEcsService,
+    planEcsService
+};
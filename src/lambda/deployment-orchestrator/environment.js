@@ -0,0 +1,80 @@
+// Lambda environment variables: resolve parameter and secret references, then merge with what the function has
+
+const SSM_PREFIX = 'ssm:';
+const SECRETS_MANAGER_PREFIX = 'secretsmanager:';
+
+// ssm:/path/to/parameter (SecureString values are decrypted)
+async function resolveParameter(ssm, name) {
+    try {
+        const result = await ssm.getParameter({
+            Name: name,
+            WithDecryption: true
+        }).promise();
+
+        return result.Parameter.Value;
+    } catch (error) {
+        throw new Error(`Could not resolve SSM parameter ${name}: ${error.message}`);
+    }
+}
+
+// secretsmanager:<secret id or ARN>, or secretsmanager:<secret id>#<key> for one field of a JSON secret
+async function resolveSecret(secretsManager, reference) {
+    const [secretId, jsonKey] = reference.split('#');
+
+    let secretString;
+    try {
+        const result = await secretsManager.getSecretValue({ SecretId: secretId }).promise();
+        secretString = result.SecretString;
+    } catch (error) {
+        throw new Error(`Could not resolve secret ${secretId}: ${error.message}`);
+    }
+
+    if (!jsonKey) {
+        return secretString;
+    }
+
+    let secret;
+    try {
+        secret = JSON.parse(secretString);
+    } catch (error) {
+        throw new Error(`Secret ${secretId} is not JSON, cannot read key ${jsonKey}`);
+    }
+    if (secret[jsonKey] === undefined) {
+        throw new Error(`Secret ${secretId} has no key ${jsonKey}`);
+    }
+
+    return String(secret[jsonKey]);
+}
+
+async function resolveValue({ ssm, secretsManager }, value) {
+    if (value.startsWith(SSM_PREFIX)) {
+        return resolveParameter(ssm, value.slice(SSM_PREFIX.length));
+    }
+    if (value.startsWith(SECRETS_MANAGER_PREFIX)) {
+        return resolveSecret(secretsManager, value.slice(SECRETS_MANAGER_PREFIX.length));
+    }
+    return value;
+}
+
+async function resolveEnvironmentVariables(clients, variables) {
+    const resolved = {};
+
+    for (const [name, value] of Object.entries(variables || {})) {
+        resolved[name] = await resolveValue(clients, value);
+    }
+
+    return resolved;
+}
+
+// Variables already on the function are kept; declared ones are added or replace them
+function mergeEnvironmentVariables(current, declared) {
+    return {
+        ...(current || {}),
+        ...declared
+    };
+}
+
+module.exports = {
+    resolveEnvironmentVariables,
+    mergeEnvironmentVariables
+};
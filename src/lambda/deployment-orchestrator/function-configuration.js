@@ -0,0 +1,162 @@
+// Function settings declared in the deployment config or manifest, compared with the function's current
+// configuration so only settings that differ are changed
+
+const ARCHITECTURES = ['x86_64', 'arm64'];
+
+const checkRange = (min, max, unit) => (value) =>
+    Number.isInteger(value) && value >= min && value <= max ? null : `must be ${min} to ${max}${unit}`;
+
+// Declared name -> its schema rule, how it is read from getFunctionConfiguration and how it is written back
+const FUNCTION_SETTINGS = {
+    memorySize: {
+        type: 'number',
+        check: checkRange(128, 10240, ' MB'),
+        current: (configuration) => configuration.MemorySize,
+        apply: (value) => ({ MemorySize: value })
+    },
+    timeout: {
+        type: 'number',
+        check: checkRange(1, 900, ' seconds'),
+        current: (configuration) => configuration.Timeout,
+        apply: (value) => ({ Timeout: value })
+    },
+    runtime: {
+        type: 'string',
+        current: (configuration) => configuration.Runtime,
+        apply: (value) => ({ Runtime: value })
+    },
+    handler: {
+        type: 'string',
+        current: (configuration) => configuration.Handler,
+        apply: (value) => ({ Handler: value })
+    },
+    layers: {
+        type: 'array',
+        items: 'string',
+        check: (value) => (value.length <= 5 ? null : 'at most 5 layers can be attached'),
+        current: (configuration) => (configuration.Layers || []).map((layer) => layer.Arn),
+        apply: (value) => ({ Layers: value })
+    },
+    // Set together with the code: updateFunctionConfiguration does not take it
+    architecture: {
+        type: 'string',
+        enum: ARCHITECTURES,
+        current: (configuration) => (configuration.Architectures || ['x86_64'])[0],
+        apply: (value) => ({ Architectures: [value] }),
+        withCode: true
+    }
+};
+
+// Reserved concurrency is not part of the function configuration; null removes the reservation
+const RESERVED_CONCURRENCY = {
+    type: ['number', 'null'],
+    check: (value) => (value === null || (Number.isInteger(value) && value >= 0) ? null : 'must be a whole number')
+};
+
+// Rules for the deployment config schema
+const FUNCTION_SETTINGS_SCHEMA = {
+    ...Object.fromEntries(Object.entries(FUNCTION_SETTINGS).map(([name, { type, items, enum: values, check }]) =>
+        [name, { type, items, enum: values, check }])),
+    reservedConcurrency: RESERVED_CONCURRENCY
+};
+
+// The settings an object (deployment config or manifest target) declares
+function functionSettingsFor(source) {
+    const settings = {};
+    for (const name of [...Object.keys(FUNCTION_SETTINGS), 'reservedConcurrency']) {
+        if (source[name] !== undefined) {
+            settings[name] = source[name];
+        }
+    }
+    return settings;
+}
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Problems with the settings a manifest target declares, e.g. "memorySize must be 128 to 10240 MB".
+// The deployment config is checked against FUNCTION_SETTINGS_SCHEMA with the rest of its fields.
+function checkFunctionSettings(source) {
+    return Object.entries(functionSettingsFor(source)).map(([name, value]) => {
+        const rule = FUNCTION_SETTINGS_SCHEMA[name];
+        const types = [].concat(rule.type);
+        if (!types.includes(typeOf(value))) {
+            return `${name} must be of type ${types.join(' or ')}`;
+        }
+        if (rule.items && value.some((item) => typeOf(item) !== rule.items)) {
+            return `${name} must only contain ${rule.items} values`;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            return `${name} must be one of ${rule.enum.join(', ')}`;
+        }
+        const problem = rule.check ? rule.check(value) : null;
+        return problem ? `${name} ${problem}` : null;
+    }).filter(Boolean);
+}
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Returns [{ setting, from, to }] for every declared setting that differs from the function.
+// currentConcurrency is the reserved concurrency, or null when the function has none.
+function diffFunctionSettings(configuration, settings, currentConcurrency = null) {
+    const changes = Object.entries(FUNCTION_SETTINGS)
+        .filter(([name]) => settings[name] !== undefined)
+        .map(([name, setting]) => ({ setting: name, from: setting.current(configuration), to: settings[name] }))
+        .filter((change) => !isSame(change.from, change.to));
+
+    if (settings.reservedConcurrency !== undefined && settings.reservedConcurrency !== currentConcurrency) {
+        changes.push({ setting: 'reservedConcurrency', from: currentConcurrency, to: settings.reservedConcurrency });
+    }
+
+    return changes;
+}
+
+// Parameters for updateFunctionCode (withCode: true) or updateFunctionConfiguration
+function settingsParameters(changes, { withCode = false } = {}) {
+    const parameters = {};
+    for (const change of changes) {
+        const setting = FUNCTION_SETTINGS[change.setting];
+        if (setting && Boolean(setting.withCode) === withCode) {
+            Object.assign(parameters, setting.apply(change.to));
+        }
+    }
+    return parameters;
+}
+
+async function getReservedConcurrency(lambda, functionName) {
+    const response = await lambda.getFunctionConcurrency({ FunctionName: functionName }).promise();
+    return response.ReservedConcurrentExecutions === undefined ? null : response.ReservedConcurrentExecutions;
+}
+
+// Reserved concurrency belongs to the function, not a version, so it is set through its own API
+async function applyReservedConcurrency(lambda, functionName, changes) {
+    const change = changes.find((item) => item.setting === 'reservedConcurrency');
+    if (!change) {
+        return;
+    }
+
+    if (change.to === null) {
+        await lambda.deleteFunctionConcurrency({ FunctionName: functionName }).promise();
+    } else {
+        await lambda.putFunctionConcurrency({
+            FunctionName: functionName,
+            ReservedConcurrentExecutions: change.to
+        }).promise();
+    }
+}
+
+// "memorySize 128 -> 256, timeout 3 -> 30"; used in the job's output variables
+function describeChanges(changes) {
+    const format = (value) => (Array.isArray(value) ? `[${value.join(' ')}]` : String(value));
+    return changes.map((change) => `${change.setting} ${format(change.from)} -> ${format(change.to)}`).join(', ');
+}
+
+module.exports = {
+    FUNCTION_SETTINGS_SCHEMA,
+    functionSettingsFor,
+    checkFunctionSettings,
+    diffFunctionSettings,
+    settingsParameters,
+    getReservedConcurrency,
+    applyReservedConcurrency,
+    describeChanges
+};
@@ -0,0 +1,87 @@
+// Post-deployment verification: target health checks and CloudWatch alarm monitoring
+
+const { sleep } = require('./utils');
+
+// Event the sample app routes to its healthCheck export
+const HEALTH_CHECK_EVENT = { source: 'lambdadeploy.health-check' };
+const ALARM_POLL_INTERVAL_MS = 30000;
+
+// Invokes a published version directly so the check never goes through the alias
+async function invokeHealthCheck(lambda, { functionName, version }) {
+    const response = await lambda.invoke({
+        FunctionName: functionName,
+        Qualifier: version,
+        InvocationType: 'RequestResponse',
+        Payload: JSON.stringify(HEALTH_CHECK_EVENT)
+    }).promise();
+
+    if (response.FunctionError) {
+        throw new Error(`Health check for version ${version} raised ${response.FunctionError}: ${response.Payload}`);
+    }
+
+    let result;
+    try {
+        result = JSON.parse(response.Payload || '{}');
+    } catch (error) {
+        throw new Error(`Health check for version ${version} returned an unreadable payload`);
+    }
+
+    if (result.statusCode !== 200) {
+        throw new Error(`Health check for version ${version} returned status ${result.statusCode}`);
+    }
+
+    console.log(`Health check passed for version ${version}`);
+    return result;
+}
+
+async function findAlarmsInAlarm(cloudwatch, alarmNames) {
+    if (!alarmNames || alarmNames.length === 0) {
+        return [];
+    }
+
+    const response = await cloudwatch.describeAlarms({
+        AlarmNames: alarmNames
+    }).promise();
+
+    return (response.MetricAlarms || [])
+        .filter((alarm) => alarm.StateValue === 'ALARM')
+        .map((alarm) => alarm.AlarmName);
+}
+
+// Polls the alarms until durationMs has passed, failing as soon as one of them fires
+async function monitorAlarms(cloudwatch, alarmNames, durationMs) {
+    const deadline = Date.now() + durationMs;
+
+    for (;;) {
+        const firing = await findAlarmsInAlarm(cloudwatch, alarmNames);
+        if (firing.length > 0) {
+            throw new Error(`CloudWatch alarm in ALARM state: ${firing.join(', ')}`);
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            return;
+        }
+
+        await sleep(Math.min(ALARM_POLL_INTERVAL_MS, remaining));
+    }
+}
+
+// Health check first, then watch the alarms for the rest of the window
+async function verifyDeployment({ lambda, cloudwatch }, options) {
+    const { functionName, version, healthCheck, alarmNames, durationMs } = options;
+
+    if (healthCheck) {
+        await invokeHealthCheck(lambda, { functionName, version });
+    }
+
+    await monitorAlarms(cloudwatch, alarmNames, durationMs);
+}
+
+module.exports = {
+    HEALTH_CHECK_EVENT,
+    invokeHealthCheck,
+    findAlarmsInAlarm,
+    monitorAlarms,
+    verifyDeployment
+};
@@ -0,0 +1,173 @@
+// Deployment history ledger: one DynamoDB item per deployed target, queryable per target and environment.
+// Table key: pk = "<environment>#<target>", sk = "<startedAt>#<jobId>". The byEnvironment index
+// (environment, finishedAt) answers "what was deployed to an environment at a point in time".
+
+const { hashArtifact } = require('./artifacts');
+
+const ENVIRONMENT_INDEX = 'byEnvironment';
+
+function historyKey(environment, target) {
+    return `${environment}#${target}`;
+}
+
+// Turns a finished deployment result into one record per target it changed.
+// targets are the lock names of the deployment, e.g. lambda:<function> or ecs:<cluster>/<service>.
+function recordsFromResult(result, targets) {
+    switch (result.type) {
+        case 'lambda':
+            return [{
+                target: targets[0],
+                previousVersion: result.previousVersion,
+                newVersion: result.version,
+                strategy: result.strategy,
+                outcome: 'SUCCEEDED'
+            }];
+        case 'manifest':
+            return result.targets.map((target) => ({
+                target: `lambda:${target.functionName}`,
+                previousVersion: target.result ? target.result.previousVersion : null,
+                newVersion: target.result ? target.result.version : null,
+                strategy: target.result ? target.result.strategy : null,
+                outcome: target.status,
+                error: target.error
+            }));
+        case 'ecs':
+            return [{
+                target: targets[0],
+                previousVersion: result.previousTaskDefinition,
+                newVersion: result.taskDefinition,
+                strategy: 'rolling',
+                outcome: 'SUCCEEDED'
+            }];
+        default:
+            return [{
+                target: targets[0],
+                previousVersion: null,
+                newVersion: result.location || null,
+                strategy: result.mode || 'archive',
+                outcome: 'SUCCEEDED'
+            }];
+    }
+}
+
+// Commit SHA from the job's input artifacts, or from the pipeline execution when the artifacts
+// (e.g. a build output) carry no revision. Missing details are recorded as null, never fatal.
+async function findCommitSha(codepipeline, jobId, jobData) {
+    const revision = (jobData.inputArtifacts || []).map((artifact) => artifact.revision).find(Boolean);
+    if (revision) {
+        return revision;
+    }
+
+    try {
+        const job = await codepipeline.getJobDetails({ jobId }).promise();
+        const context = job.jobDetails.data.pipelineContext;
+        const execution = await codepipeline.getPipelineExecution({
+            pipelineName: context.pipelineName,
+            pipelineExecutionId: context.pipelineExecutionId
+        }).promise();
+
+        const revisions = execution.pipelineExecution.artifactRevisions || [];
+        return revisions.length > 0 ? revisions[0].revisionId : null;
+    } catch (error) {
+        console.error('Could not look up the commit for the deployment history:', error.message);
+        return null;
+    }
+}
+
+// The base64 sha256 of the artifact's content, the same hash a release of it is recorded under
+async function findArtifactHash(artifact) {
+    try {
+        return await hashArtifact(artifact);
+    } catch (error) {
+        console.error('Could not hash the artifact for the deployment history:', error.message);
+        return null;
+    }
+}
+
+// deployment: { environment, jobId, commitSha, artifactHash, startedAt } shared by all records
+async function recordDeployments(db, tableName, deployment, records) {
+    const finishedAt = new Date().toISOString();
+
+    for (const record of records) {
+        await db.put({
+            TableName: tableName,
+            Item: {
+                pk: historyKey(deployment.environment, record.target),
+                sk: `${deployment.startedAt}#${deployment.jobId}`,
+                target: record.target,
+                environment: deployment.environment,
+                previousVersion: record.previousVersion || null,
+                newVersion: record.newVersion || null,
+                artifactHash: deployment.artifactHash || null,
+                commitSha: deployment.commitSha || null,
+                jobId: deployment.jobId,
+                strategy: record.strategy || null,
+                startedAt: deployment.startedAt,
+                finishedAt,
+                durationMs: Date.parse(finishedAt) - Date.parse(deployment.startedAt),
+                outcome: record.outcome,
+                error: record.error || null
+            }
+        }).promise();
+    }
+}
+
+// Newest first; from and to are ISO timestamps bounding the start time
+async function listDeployments(db, tableName, { target, environment, from, to, limit = 20 }) {
+    const response = await db.query({
+        TableName: tableName,
+        KeyConditionExpression: 'pk = :pk AND sk BETWEEN :from AND :to',
+        ExpressionAttributeValues: {
+            ':pk': historyKey(environment, target),
+            ':from': from || '0',
+            // '~' sorts after every "<timestamp>#<jobId>" sort key
+            ':to': `${to || '9999'}~`
+        },
+        ScanIndexForward: false,
+        Limit: limit
+    }).promise();
+
+    return response.Items || [];
+}
+
+// The last successful deployment of each target in the environment that finished at or before `at`
+async function findDeployedAt(db, tableName, { environment, at, target }) {
+    const deployed = new Map();
+    let exclusiveStartKey;
+    let found = false;
+
+    do {
+        const page = await db.query({
+            TableName: tableName,
+            IndexName: ENVIRONMENT_INDEX,
+            KeyConditionExpression: '#environment = :environment AND finishedAt <= :at',
+            ExpressionAttributeNames: { '#environment': 'environment' },
+            ExpressionAttributeValues: {
+                ':environment': environment,
+                ':at': at
+            },
+            ScanIndexForward: false,
+            ExclusiveStartKey: exclusiveStartKey
+        }).promise();
+
+        for (const item of page.Items || []) {
+            if (item.outcome === 'SUCCEEDED' && !deployed.has(item.target) && (!target || item.target === target)) {
+                deployed.set(item.target, item);
+            }
+        }
+        exclusiveStartKey = page.LastEvaluatedKey;
+        found = Boolean(target) && deployed.has(target);
+    } while (exclusiveStartKey && !found);
+
+    return [...deployed.values()];
+}
+
+module.exports = {
+    ENVIRONMENT_INDEX,
+    findCommitSha,
+    findArtifactHash,
+    recordsFromResult,
+    recordDeployments,
+    listDeployments,
+    findDeployedAt
+};
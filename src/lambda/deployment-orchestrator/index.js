@@ -1,12 +1,78 @@
 const AWS = require('aws-sdk');
+const { createS3Artifact, findApplicationArtifact } = require('./artifacts');
+const { getTarget, loadTargetModules, runTarget } = require('./targets');
+const { loadDeploymentConfig } = require('./config');
+const {
+    stateKey,
+    createTimeBudget,
+    loadDeploymentState,
+    saveDeploymentState,
+    deleteDeploymentState
+} = require('./continuation');
+const {
+    claimJob,
+    completeJob,
+    acquireTargetLocks,
+    releaseTargetLocks
+} = require('./locks');
+const {
+    findCommitSha,
+    findArtifactHash,
+    recordsFromResult,
+    recordDeployments
+} = require('./history');
+const { sleep } = require('./utils');
+const { truncate } = require('../shared/utils');
+const { runSmokeTests, formatReport } = require('./smoke-tests');
+const { assumeRoleChain, sessionNameFor } = require('./credentials');
+const {
+    homeRegion,
+    qualifyTarget,
+    configForRegion,
+    deployToRegions
+} = require('./regions');
+const { retryingClient } = require('./retry');
+const { recordRelease, loadPromotedArtifact } = require('./promotion');
 
-const codepipeline = new AWS.CodePipeline();
-const lambda = new AWS.Lambda();
-const s3 = new AWS.S3();
+// Idempotent AWS calls retry throttling, conflicting updates and transient errors under the shared policy.
+// The SDK's own retries are turned off so they do not multiply the attempts.
+function createClient(Client, serviceName, options = {}) {
+    return retryingClient(new Client({ ...options, maxRetries: 0 }), serviceName);
+}
+
+const codepipeline = createClient(AWS.CodePipeline, 'codepipeline');
+
+// Handed to every deployment target. options carry credentials for targets in another account (see clientsFor).
+function createClients(options = {}) {
+    return {
+        lambda: createClient(AWS.Lambda, 'lambda', options),
+        s3: createClient(AWS.S3, 's3', options),
+        cloudwatch: createClient(AWS.CloudWatch, 'cloudwatch', options),
+        ssm: createClient(AWS.SSM, 'ssm', options),
+        secretsManager: createClient(AWS.SecretsManager, 'secretsmanager', options),
+        ecs: createClient(AWS.ECS, 'ecs', options),
+        cloudfront: createClient(AWS.CloudFront, 'cloudfront', options)
+    };
+}
 
-exports.handler = async (event) => {
+const clients = createClients();
+const { s3 } = clients;
+const dynamodb = createClient(AWS.DynamoDB.DocumentClient, 'dynamodb');
+
+// Targets maintained by other teams, e.g. DEPLOYMENT_TARGET_MODULES=./targets/step-functions.js
+loadTargetModules((process.env.DEPLOYMENT_TARGET_MODULES || '').split(',').map((item) => item.trim()).filter(Boolean));
+
+const LOCK_POLL_INTERVAL_MS = 15000;
+const PLAN_SUMMARY_LENGTH = 1000;
+// CodePipeline rejects failure messages longer than this
+const FAILURE_MESSAGE_LENGTH = 5000;
+
+exports.handler = async (event, context) => {
     console.log('Deployment orchestrator triggered:', JSON.stringify(event, null, 2));
     
+    // Set once the job is recorded as ours, so its outcome can be recorded too
+    let jobsTable = null;
+    
     try {
         // Extract CodePipeline job data
         const jobId = event['CodePipeline.job'].id;
@@ -19,15 +85,72 @@ exports.handler = async (event) => {
         // Get deployment configuration
         const config = await getDeploymentConfig(jobData);
         
+        // CodePipeline may deliver a job more than once; only the first delivery deploys
+        if (config.locksTable) {
+            const claim = await claimJob(dynamodb, config.locksTable, jobId);
+            if (!claim.claimed) {
+                return skipDuplicateJob(jobId, claim.record);
+            }
+            jobsTable = config.locksTable;
+        }
+        
         // Download and process artifacts
         const artifacts = await processArtifacts(inputArtifacts);
         
+        // A dry run only reports what the deployment would change
+        if (config.dryRun) {
+            if (config.promoteFrom) {
+                await usePromotedArtifact(config, artifacts, {});
+            }
+            const response = await reportPlan(jobId, config, artifacts, outputArtifacts);
+            await recordJobOutcome(jobsTable, jobId, 'SUCCEEDED', 'Dry run');
+            return response;
+        }
+        
+        // A continuation token means an earlier invocation saved its progress; pick up from there
+        const stateBucket = stateBucketFor(jobData);
+        const checkpoint = {
+            jobId,
+            state: await loadDeploymentState(s3, stateBucket, jobData.continuationToken),
+            timeRemaining: createTimeBudget(context)
+        };
+        const promotion = config.promoteFrom ? await usePromotedArtifact(config, artifacts, checkpoint.state) : null;
+        
+        // Where the deployment came from, kept with the state for the history ledger
+        if (!checkpoint.state.startedAt) {
+            checkpoint.state.startedAt = new Date().toISOString();
+            checkpoint.state.jobId = jobId;
+            if (config.historyTable) {
+                const appArtifact = findApplicationArtifact(artifacts);
+                checkpoint.state.commitSha = promotion
+                    ? promotion.commitSha
+                    : await findCommitSha(codepipeline, jobId, jobData);
+                checkpoint.state.artifactHash = appArtifact ? await findArtifactHash(appArtifact) : null;
+            }
+        }
+        
         // Execute deployment based on configuration
-        const deploymentResult = await executeDeployment(config, artifacts);
+        const deploymentResult = await executeDeployment(config, artifacts, checkpoint);
+        
+        if (deploymentResult.inProgress) {
+            const response = await continueLater(jobId, jobData, stateBucket, checkpoint.state, deploymentResult);
+            await recordJobOutcome(jobsTable, jobId, 'CONTINUED', deploymentResult.summary);
+            return response;
+        }
+        await deleteDeploymentState(s3, stateBucket, jobData.continuationToken);
+        
+        // A verified deployment becomes a release that the next environment can promote
+        if (config.historyTable && config.promotionBucket) {
+            deploymentResult.release = await recordVerifiedRelease(config, artifacts, checkpoint.state);
+        }
         
         // Update output artifacts if needed
         if (outputArtifacts && outputArtifacts.length > 0) {
-            await updateOutputArtifacts(outputArtifacts, deploymentResult);
+            await updateOutputArtifacts(outputArtifacts, {
+                deploymentResult,
+                timestamp: new Date().toISOString(),
+                status: 'SUCCESS'
+            });
         }
         
         // Signal success to CodePipeline
@@ -36,11 +159,14 @@ exports.handler = async (event) => {
             outputVariables: {
                 deploymentStatus: 'SUCCESS',
                 deploymentTime: new Date().toISOString(),
-                deployedVersion: deploymentResult.version || 'unknown'
+                deployedVersion: deploymentResult.version || 'unknown',
+                ...(deploymentResult.release ? { artifactHash: deploymentResult.release.artifactHash } : {}),
+                ...deploymentResult.outputVariables
             }
         }).promise();
         
         console.log('Deployment completed successfully');
+        await recordJobOutcome(jobsTable, jobId, 'SUCCEEDED');
         
         return {
             statusCode: 200,
@@ -53,14 +179,18 @@ exports.handler = async (event) => {
         
     } catch (error) {
         console.error('Deployment orchestration failed:', error);
+        if (jobsTable) {
+            await recordJobOutcome(jobsTable, event['CodePipeline.job'].id, 'FAILED', error.message)
+                .catch((recordError) => console.error('Could not record job outcome:', recordError));
+        }
         
         // Signal failure to CodePipeline
         if (event['CodePipeline.job']) {
             await codepipeline.putJobFailureResult({
                 jobId: event['CodePipeline.job'].id,
                 failureDetails: {
-                    message: error.message,
-                    type: 'JobFailed'
+                    message: truncate(error.message, FAILURE_MESSAGE_LENGTH),
+                    type: error.failureType || 'JobFailed'
                 }
             }).promise();
         }
@@ -69,25 +199,76 @@ exports.handler = async (event) => {
     }
 };
 
-async function getDeploymentConfig(jobData) {
-    // Extract configuration from job data or environment variables
-    const config = {
-        deploymentType: process.env.DEPLOYMENT_TYPE || 'lambda',
-        targetFunction: process.env.TARGET_FUNCTION_NAME || 'lambdadeploy-app',
-        environment: process.env.ENVIRONMENT || 'development',
-        region: process.env.AWS_REGION || 'us-east-1'
-    };
+// A redelivered job is left alone: the first delivery has already reported (or will report) its result
+function skipDuplicateJob(jobId, record) {
+    const status = record ? record.status : 'UNKNOWN';
+    console.log(`Job ${jobId} was already delivered (${status}), skipping`);
     
-    // Override with job-specific configuration if available
-    if (jobData.actionConfiguration && jobData.actionConfiguration.configuration) {
-        const actionConfig = jobData.actionConfiguration.configuration;
-        Object.assign(config, actionConfig);
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Job already processed',
+            jobId,
+            status
+        })
+    };
+}
+
+async function recordJobOutcome(jobsTable, jobId, status, message) {
+    if (jobsTable) {
+        await completeJob(dynamodb, jobsTable, jobId, status, message);
     }
+}
+
+// Saves the progress and asks CodePipeline to invoke the orchestrator again with the returned token
+async function continueLater(jobId, jobData, stateBucket, state, deploymentResult) {
+    if (!stateBucket) {
+        throw new Error('Deployment needs more time but the job has no artifact bucket to save its progress in');
+    }
+    
+    const continuationToken = await saveDeploymentState(
+        s3,
+        stateBucket,
+        jobData.continuationToken || stateKey(jobId),
+        state
+    );
+    
+    await codepipeline.putJobSuccessResult({
+        jobId,
+        continuationToken,
+        executionDetails: {
+            summary: deploymentResult.summary
+        }
+    }).promise();
+    
+    console.log('Deployment in progress:', deploymentResult.summary);
+    
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Deployment in progress',
+            jobId,
+            continuationToken,
+            summary: deploymentResult.summary
+        })
+    };
+}
+
+// Deployment state lives next to the pipeline's artifacts
+function stateBucketFor(jobData) {
+    const artifact = (jobData.inputArtifacts || [])[0] || (jobData.outputArtifacts || [])[0];
+    return artifact ? artifact.location.s3Location.bucketName : null;
+}
+
+async function getDeploymentConfig(jobData) {
+    // Environment defaults overridden by the action's UserParameters, validated against the schema
+    const config = loadDeploymentConfig(jobData);
     
     console.log('Deployment configuration:', config);
     return config;
 }
 
+// Artifacts are only opened lazily through ranged reads; nothing is downloaded up front
 async function processArtifacts(inputArtifacts) {
     const artifacts = {};
     
@@ -95,154 +276,360 @@ async function processArtifacts(inputArtifacts) {
         console.log('Processing artifact:', artifact.name);
         
         const location = artifact.location.s3Location;
-        const bucketName = location.bucketName;
-        const objectKey = location.objectKey;
-        
-        // Download artifact from S3
-        const artifactData = await s3.getObject({
-            Bucket: bucketName,
-            Key: objectKey
-        }).promise();
         
-        artifacts[artifact.name] = {
-            data: artifactData.Body,
-            metadata: artifactData.Metadata,
-            contentType: artifactData.ContentType
-        };
+        artifacts[artifact.name] = createS3Artifact(s3, artifact.name, {
+            bucketName: location.bucketName,
+            objectKey: location.objectKey
+        });
     }
     
     return artifacts;
 }
 
-async function executeDeployment(config, artifacts) {
-    console.log('Executing deployment with type:', config.deploymentType);
+// A promotion deploys the artifact that passed in config.promoteFrom in place of the pipeline's build.
+// state pins the release, so a continuation deploys the same artifact even if a newer one has passed since.
+async function usePromotedArtifact(config, artifacts, state) {
+    const { artifact, release } = await loadPromotedArtifact(
+        s3,
+        dynamodb,
+        config.historyTable,
+        config.promoteFrom,
+        state.promotedArtifactHash || config.promoteArtifactHash
+    );
+    state.promotedArtifactHash = release.artifactHash;
+    artifacts.BuildArtifact = artifact;
     
-    switch (config.deploymentType) {
-        case 'lambda':
-            return await deployToLambda(config, artifacts);
-        case 'ecs':
-            return await deployToECS(config, artifacts);
-        case 's3':
-            return await deployToS3(config, artifacts);
-        default:
-            throw new Error(`Unsupported deployment type: ${config.deploymentType}`);
+    console.log(`Promoting artifact ${release.artifactHash} (commit ${release.commitSha}) from ${config.promoteFrom}`);
+    return release;
+}
+
+// Unlike the history ledger, a missing release blocks later promotions, but the deployment itself has
+// passed, so a failure to record it is logged rather than failing the job
+async function recordVerifiedRelease(config, artifacts, state) {
+    try {
+        return await recordRelease(s3, dynamodb, {
+            tableName: config.historyTable,
+            bucketName: config.promotionBucket
+        }, findApplicationArtifact(artifacts), {
+            environment: config.environment,
+            jobId: state.jobId,
+            commitSha: state.commitSha,
+            artifactHash: state.artifactHash,
+            deploymentType: config.deploymentType,
+            promotedFrom: config.promoteFrom
+        });
+    } catch (error) {
+        console.error('Could not record the release:', error);
+        return null;
     }
 }
 
-async function deployToLambda(config, artifacts) {
-    console.log('Deploying to Lambda function:', config.targetFunction);
+// Targets keep their progress in checkpoint.state.deployment and return { inProgress: true, summary }
+// when checkpoint.timeRemaining() runs out before they finish
+async function executeDeployment(config, artifacts, checkpoint) {
+    console.log('Executing deployment with type:', config.deploymentType);
     
-    // Find the application artifact
-    const appArtifact = artifacts['BuildArtifact'] || artifacts['SourceOutput'];
-    if (!appArtifact) {
-        throw new Error('No application artifact found for Lambda deployment');
+    if (config.regions) {
+        return executeRegionalDeployments(config, artifacts, checkpoint);
     }
     
+    const target = getTarget(config.deploymentType);
+    const context = createTargetContext(artifacts, checkpoint, await clientsFor(config, checkpoint.jobId));
+    
+    // Only one deployment at a time may change a given function, service or bucket
+    const { targets } = await target.plan(config, context);
+    const lockNames = targets.map((name) => qualifyTarget(name, config.region));
+    const waiting = await lockTargets(config, lockNames, checkpoint);
+    if (waiting) {
+        return waiting;
+    }
+    
+    let result;
     try {
-        // Update Lambda function code
-        const updateResult = await lambda.updateFunctionCode({
-            FunctionName: config.targetFunction,
-            ZipFile: appArtifact.data
-        }).promise();
-        
-        console.log('Lambda function updated:', updateResult.FunctionArn);
-        
-        // Wait for function to be updated
-        await lambda.waitFor('functionUpdated', {
-            FunctionName: config.targetFunction
-        }).promise();
-        
-        // Update function configuration if needed
-        if (config.environment !== 'production') {
-            await lambda.updateFunctionConfiguration({
-                FunctionName: config.targetFunction,
-                Environment: {
-                    Variables: {
-                        NODE_ENV: config.environment,
-                        DEPLOYMENT_TIME: new Date().toISOString()
-                    }
-                }
-            }).promise();
-        }
-        
-        return {
-            type: 'lambda',
-            functionArn: updateResult.FunctionArn,
-            version: updateResult.Version,
-            lastModified: updateResult.LastModified
-        };
-        
+        result = await runAndRecord(target, config, context, targets, checkpoint);
     } catch (error) {
-        console.error('Lambda deployment failed:', error);
-        throw new Error(`Lambda deployment failed: ${error.message}`);
+        await unlockTargets(config, lockNames, checkpoint);
+        throw error;
+    }
+    
+    if (!result.inProgress) {
+        await unlockTargets(config, lockNames, checkpoint);
     }
+    return result;
 }
 
-async function deployToECS(config, artifacts) {
-    console.log('Deploying to ECS service:', config.serviceName);
+// The same deployment in each of config.regions, in the order config.regionOrder asks for. Every region keeps
+// its progress in checkpoint.state.regions[region]; the targets of all regions are locked before the first starts.
+async function executeRegionalDeployments(config, artifacts, checkpoint) {
+    const target = getTarget(config.deploymentType);
+    const { state } = checkpoint;
+    state.regions = state.regions || {};
     
-    const ecs = new AWS.ECS();
+    const deployments = {};
+    for (const region of config.regions) {
+        const regionConfig = configForRegion(config, region);
+        state.regions[region] = state.regions[region] || {};
+        const context = createTargetContext(
+            artifacts,
+            checkpoint,
+            await clientsFor(regionConfig, checkpoint.jobId),
+            state.regions[region]
+        );
+        const { targets } = await target.plan(regionConfig, context);
+        deployments[region] = { config: regionConfig, context, targets };
+    }
+    
+    const lockNames = config.regions.flatMap((region) =>
+        deployments[region].targets.map((name) => qualifyTarget(name, region)));
+    const waiting = await lockTargets(config, lockNames, checkpoint);
+    if (waiting) {
+        return waiting;
+    }
+    
+    const order = config.regionOrder || 'sequential';
+    const outcome = await deployToRegions(config.regions, order, state.regions, (region) => {
+        const deployment = deployments[region];
+        console.log(`Deploying to ${region}`);
+        return runAndRecord(target, deployment.config, deployment.context, deployment.targets, checkpoint);
+    });
+    if (outcome.inProgress) {
+        return outcome;
+    }
+    
+    await unlockTargets(config, lockNames, checkpoint);
+    if (outcome.failures.length > 0) {
+        const failures = outcome.failures.map((failure) => `${failure.region}: ${failure.error}`).join('; ');
+        const skipped = outcome.skipped.length > 0 ? `; not deployed to ${outcome.skipped.join(', ')}` : '';
+        throw new Error(`Deployment failed in ${failures}${skipped}`);
+    }
+    
+    return {
+        type: 'multi-region',
+        regionOrder: order,
+        regions: outcome.results,
+        outputVariables: {
+            deployedRegions: config.regions.join(', ')
+        }
+    };
+}
+
+// Runs the target and its smoke tests, and records how each of its targets came out in the history ledger.
+// Targets outside the orchestrator's region are recorded with the region in their name.
+async function runAndRecord(target, config, context, targets, checkpoint) {
+    const inRegion = (record) => ({ ...record, target: qualifyTarget(record.target, config.region) });
+    
+    // A deployment that fails its smoke tests is rolled back and recorded as failed, like any other failure
+    const smokeTest = config.smokeTests && config.smokeTests.length > 0
+        ? async (result) => {
+            result.smokeTests = await runDeploymentSmokeTests(config, context.clients);
+        }
+        : null;
     
+    let result;
     try {
-        // Update ECS service with new task definition
-        const updateResult = await ecs.updateService({
-            cluster: config.clusterName || 'default',
-            service: config.serviceName,
-            forceNewDeployment: true
-        }).promise();
-        
-        return {
-            type: 'ecs',
-            serviceArn: updateResult.service.serviceArn,
-            taskDefinition: updateResult.service.taskDefinition
-        };
-        
+        result = await runTarget(target, config, context, smokeTest);
     } catch (error) {
-        console.error('ECS deployment failed:', error);
-        throw new Error(`ECS deployment failed: ${error.message}`);
+        await recordHistory(config, checkpoint, targets.map((name) => inRegion({
+            target: name,
+            outcome: 'FAILED',
+            error: error.message
+        })));
+        throw error;
+    }
+    
+    if (!result.inProgress) {
+        await recordHistory(config, checkpoint, recordsFromResult(result, targets).map(inRegion));
+    }
+    return result;
+}
+
+// state holds the target's progress under state.deployment; regional deployments keep one per region
+function createTargetContext(artifacts, checkpoint, targetClients, state = checkpoint.state) {
+    state.deployment = state.deployment || {};
+    
+    return {
+        artifacts,
+        appArtifact: findApplicationArtifact(artifacts),
+        clients: targetClients,
+        state: state.deployment,
+        timeRemaining: checkpoint.timeRemaining,
+        jobId: checkpoint.jobId
+    };
+}
+
+// A target in another region (config.region) or account (config.roleArn) gets its own clients, the latter
+// signed with the credentials of the last role in the chain. They are created for each invocation, so they
+// never outlive the role session.
+async function clientsFor(config, jobId) {
+    if (!config.roleArn && config.region === homeRegion()) {
+        return clients;
+    }
+
+    let credentials = {};
+    if (config.roleArn) {
+        const roleArns = [].concat(config.roleArn);
+        const createSts = (previous) => createClient(AWS.STS, 'sts', previous);
+        credentials = await assumeRoleChain(createSts, roleArns, {
+            externalId: config.externalId,
+            sessionName: sessionNameFor(jobId)
+        });
+        console.log(`Deploying as ${roleArns[roleArns.length - 1]}`);
+    }
+
+    return createClients({ region: config.region, ...credentials });
+}
+
+// Invoke tests of a Lambda deployment default to the deployed function's alias, i.e. the version just shifted
+// to. A regional deployment runs the tests in every region, with the region added to each test's name.
+async function runDeploymentSmokeTests(config, { lambda }) {
+    const tests = config.regions
+        ? config.smokeTests.map((test, index) => ({
+            ...test,
+            name: `${test.name || `${test.type} test ${index + 1}`} (${config.region})`
+        }))
+        : config.smokeTests;
+    const defaults = config.deploymentType === 'lambda'
+        ? { functionName: config.targetFunction, qualifier: config.aliasName }
+        : {};
+    
+    const report = await runSmokeTests({ lambda }, tests, defaults);
+    if (report.failed > 0) {
+        throw new Error(formatReport(report));
+    }
+    return report;
+}
+
+// Works out what the deployment would change without changing anything, so it can be reviewed
+// (e.g. before a manual approval) from the output artifact and the action's output variables
+async function reportPlan(jobId, config, artifacts, outputArtifacts) {
+    const target = getTarget(config.deploymentType);
+    const targets = [];
+    const changes = [];
+    
+    for (const region of config.regions || [config.region]) {
+        const regionConfig = configForRegion(config, region);
+        const context = createTargetContext(
+            artifacts,
+            { jobId, state: {}, timeRemaining: () => Infinity },
+            await clientsFor(regionConfig, jobId)
+        );
+        const regionPlan = await target.plan(regionConfig, { ...context, dryRun: true });
+        const regionChanges = regionPlan.changes ||
+            regionPlan.targets.map((name) => ({ target: name, summary: 'changes not described by the target' }));
+        
+        targets.push(...regionPlan.targets.map((name) => qualifyTarget(name, region)));
+        changes.push(...regionChanges.map((change) => ({
+            ...change,
+            target: qualifyTarget(change.target, region),
+            region
+        })));
+    }
+    
+    const plan = {
+        dryRun: true,
+        deploymentType: config.deploymentType,
+        environment: config.environment,
+        regions: config.regions || [config.region],
+        targets,
+        changes
+    };
+    console.log('Deployment plan:', JSON.stringify(plan, null, 2));
+    
+    if (outputArtifacts && outputArtifacts.length > 0) {
+        await updateOutputArtifacts(outputArtifacts, {
+            plan,
+            timestamp: new Date().toISOString(),
+            status: 'PLANNED'
+        });
     }
+    
+    const summary = plan.changes.map((change) => `${change.target}: ${change.summary}`).join('; ');
+    await codepipeline.putJobSuccessResult({
+        jobId,
+        outputVariables: {
+            deploymentStatus: 'PLANNED',
+            deploymentTime: new Date().toISOString(),
+            planTargets: targets.join(', '),
+            // Long plans are cut short here; the output artifact has all of it
+            planSummary: truncate(summary, PLAN_SUMMARY_LENGTH)
+        }
+    }).promise();
+    
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Deployment planned',
+            jobId,
+            plan
+        })
+    };
 }
 
-async function deployToS3(config, artifacts) {
-    console.log('Deploying to S3 bucket:', config.bucketName);
+// A failure to write history is logged but never fails the deployment it describes
+async function recordHistory(config, checkpoint, records) {
+    if (!config.historyTable) {
+        return;
+    }
     
+    const { state } = checkpoint;
     try {
-        const appArtifact = artifacts['BuildArtifact'] || artifacts['SourceOutput'];
-        if (!appArtifact) {
-            throw new Error('No application artifact found for S3 deployment');
+        await recordDeployments(dynamodb, config.historyTable, {
+            environment: config.environment,
+            jobId: state.jobId,
+            commitSha: state.commitSha,
+            artifactHash: state.artifactHash,
+            startedAt: state.startedAt
+        }, records);
+    } catch (error) {
+        console.error('Could not record deployment history:', error);
+    }
+}
+
+// Waits for locks held by other deployments for up to lockWaitMinutes, across continuations if needed.
+// Returns an in-progress result while still waiting and throws once the wait is over.
+async function lockTargets(config, targets, checkpoint) {
+    if (!config.locksTable) {
+        return null;
+    }
+    
+    const { state } = checkpoint;
+    state.lockOwner = state.lockOwner || checkpoint.jobId;
+    state.lockWaitStartedAt = state.lockWaitStartedAt || Date.now();
+    const waitMs = (config.lockWaitMinutes || 0) * 60 * 1000;
+    
+    for (;;) {
+        const lock = await acquireTargetLocks(dynamodb, config.locksTable, targets, state.lockOwner);
+        if (lock.acquired) {
+            return null;
         }
         
-        // Upload to S3
-        const uploadResult = await s3.upload({
-            Bucket: config.bucketName,
-            Key: `deployments/${Date.now()}/app.zip`,
-            Body: appArtifact.data,
-            ContentType: 'application/zip'
-        }).promise();
+        const holders = lock.holders.length > 0
+            ? lock.holders.map((holder) => `${holder.target} (locked by job ${holder.owner})`).join(', ')
+            : targets.join(', ');
         
-        return {
-            type: 's3',
-            location: uploadResult.Location,
-            etag: uploadResult.ETag
-        };
+        if (Date.now() - state.lockWaitStartedAt >= waitMs) {
+            throw new Error(`Another deployment is in progress for ${holders}`);
+        }
+        if (checkpoint.timeRemaining() < LOCK_POLL_INTERVAL_MS) {
+            return { inProgress: true, summary: `Waiting for the deployment of ${holders} to finish` };
+        }
         
-    } catch (error) {
-        console.error('S3 deployment failed:', error);
-        throw new Error(`S3 deployment failed: ${error.message}`);
+        console.log(`Waiting for the deployment of ${holders} to finish`);
+        await sleep(LOCK_POLL_INTERVAL_MS);
+    }
+}
+
+async function unlockTargets(config, targets, checkpoint) {
+    if (config.locksTable) {
+        await releaseTargetLocks(dynamodb, config.locksTable, targets, checkpoint.state.lockOwner);
     }
 }
 
-async function updateOutputArtifacts(outputArtifacts, deploymentResult) {
+// Writes the deployment summary (or the plan of a dry run) to every output artifact
+async function updateOutputArtifacts(outputArtifacts, summary) {
     for (const artifact of outputArtifacts) {
         const location = artifact.location.s3Location;
         
-        // Create deployment summary
-        const summary = {
-            deploymentResult,
-            timestamp: new Date().toISOString(),
-            status: 'SUCCESS'
-        };
-        
         await s3.putObject({
             Bucket: location.bucketName,
             Key: location.objectKey,
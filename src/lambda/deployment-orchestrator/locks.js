@@ -0,0 +1,143 @@
+// Job deduplication and per-target deployment locks, both kept in one DynamoDB table (key: pk).
+// Items carry an expiresAt epoch-seconds attribute, used as the table's TTL.
+
+const crypto = require('crypto');
+
+// Redelivered jobs are recognized for this long
+const JOB_RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Refreshed by every invocation of a deployment, so a lock only outlives its holder by this much
+const LOCK_TTL_SECONDS = 60 * 60;
+
+const epochSeconds = (date = new Date()) => Math.floor(date.getTime() / 1000);
+
+function isConditionFailure(error) {
+    return error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException';
+}
+
+// Records the job as started. Returns { claimed: false, record } when the job was seen before.
+async function claimJob(db, tableName, jobId) {
+    const record = {
+        pk: `job#${jobId}`,
+        // Tells this claim apart from a redelivery's when a retried put finds its own first attempt
+        claimId: crypto.randomUUID(),
+        status: 'IN_PROGRESS',
+        startedAt: new Date().toISOString(),
+        expiresAt: epochSeconds() + JOB_RECORD_TTL_SECONDS
+    };
+
+    try {
+        await db.put({
+            TableName: tableName,
+            Item: record,
+            ConditionExpression: 'attribute_not_exists(pk)'
+        }).promise();
+
+        return { claimed: true, record };
+    } catch (error) {
+        if (!isConditionFailure(error)) {
+            throw error;
+        }
+
+        const existing = await db.get({
+            TableName: tableName,
+            Key: { pk: `job#${jobId}` }
+        }).promise();
+
+        if (existing.Item && existing.Item.claimId === record.claimId) {
+            return { claimed: true, record: existing.Item };
+        }
+        return { claimed: false, record: existing.Item || null };
+    }
+}
+
+// status is SUCCEEDED, FAILED or CONTINUED (handed over to a continuation job)
+async function completeJob(db, tableName, jobId, status, message) {
+    await db.update({
+        TableName: tableName,
+        Key: { pk: `job#${jobId}` },
+        UpdateExpression: 'SET #status = :status, finishedAt = :finishedAt, #message = :message',
+        ExpressionAttributeNames: { '#status': 'status', '#message': 'message' },
+        ExpressionAttributeValues: {
+            ':status': status,
+            ':finishedAt': new Date().toISOString(),
+            ':message': message || null
+        }
+    }).promise();
+}
+
+async function describeHolders(db, tableName, targets, owner) {
+    const holders = [];
+
+    for (const target of targets) {
+        const response = await db.get({
+            TableName: tableName,
+            Key: { pk: `lock#${target}` }
+        }).promise();
+
+        const lock = response.Item;
+        if (lock && lock.owner !== owner && lock.expiresAt >= epochSeconds()) {
+            holders.push({ target, owner: lock.owner, acquiredAt: lock.acquiredAt });
+        }
+    }
+
+    return holders;
+}
+
+// Takes (or refreshes) the locks on all targets at once. A lock that expired or already belongs
+// to owner can be taken; otherwise nothing is locked and { acquired: false, holders } is returned.
+async function acquireTargetLocks(db, tableName, targets, owner) {
+    const now = epochSeconds();
+
+    try {
+        await db.transactWrite({
+            TransactItems: targets.map((target) => ({
+                Put: {
+                    TableName: tableName,
+                    Item: {
+                        pk: `lock#${target}`,
+                        owner,
+                        acquiredAt: new Date().toISOString(),
+                        expiresAt: now + LOCK_TTL_SECONDS
+                    },
+                    ConditionExpression: 'attribute_not_exists(pk) OR #owner = :owner OR expiresAt < :now',
+                    ExpressionAttributeNames: { '#owner': 'owner' },
+                    ExpressionAttributeValues: { ':owner': owner, ':now': now }
+                }
+            }))
+        }).promise();
+
+        return { acquired: true, holders: [] };
+    } catch (error) {
+        if (!isConditionFailure(error)) {
+            throw error;
+        }
+
+        return { acquired: false, holders: await describeHolders(db, tableName, targets, owner) };
+    }
+}
+
+async function releaseTargetLocks(db, tableName, targets, owner) {
+    for (const target of targets) {
+        try {
+            await db.delete({
+                TableName: tableName,
+                Key: { pk: `lock#${target}` },
+                ConditionExpression: '#owner = :owner',
+                ExpressionAttributeNames: { '#owner': 'owner' },
+                ExpressionAttributeValues: { ':owner': owner }
+            }).promise();
+        } catch (error) {
+            // Someone else took over an expired lock; it is theirs to release
+            if (!isConditionFailure(error)) {
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = {
+    claimJob,
+    completeJob,
+    acquireTargetLocks,
+    releaseTargetLocks
+};
@@ -0,0 +1,115 @@
+// Multi-function deployments described by a deploy-manifest.json inside the build artifact
+
+const { readArtifactJson } = require('./artifacts');
+const { checkFunctionSettings } = require('./function-configuration');
+
+const DEFAULT_MANIFEST_FILE = 'deploy-manifest.json';
+const DEPLOY_MODES = ['sequential', 'parallel'];
+
+function validateTarget(target, index) {
+    const label = target && target.name ? `Manifest target ${target.name}` : `Manifest target #${index + 1}`;
+
+    if (!target || typeof target !== 'object') {
+        throw new Error(`${label} must be an object`);
+    }
+    if (!target.functionName) {
+        throw new Error(`${label} is missing functionName`);
+    }
+    if (!target.package) {
+        throw new Error(`${label} is missing package (the zip path inside the artifact)`);
+    }
+    const [settingProblem] = checkFunctionSettings(target);
+    if (settingProblem) {
+        throw new Error(`${label} has an invalid setting: ${settingProblem}`);
+    }
+
+    if (target.environmentVariables !== undefined &&
+        (typeof target.environmentVariables !== 'object' || Array.isArray(target.environmentVariables))) {
+        throw new Error(`${label} has invalid environmentVariables, expected an object`);
+    }
+
+    return { name: target.functionName, ...target };
+}
+
+// Returns null when the artifact has no manifest, so single-function deployments keep working
+async function readDeployManifest(artifact, fileName = DEFAULT_MANIFEST_FILE) {
+    const manifest = await readArtifactJson(artifact, fileName);
+    if (manifest === null) {
+        return null;
+    }
+
+    if (!Array.isArray(manifest.targets) || manifest.targets.length === 0) {
+        throw new Error(`${fileName} must list at least one target`);
+    }
+
+    const mode = manifest.mode || 'sequential';
+    if (!DEPLOY_MODES.includes(mode)) {
+        throw new Error(`${fileName} has an unsupported mode: ${mode}`);
+    }
+
+    return {
+        mode,
+        targets: manifest.targets.map(validateTarget)
+    };
+}
+
+// Sequential mode stops at the first failure and skips the rest; parallel mode deploys everything.
+// outcomes keeps the targets that finished, so when deployTarget returns { inProgress: true } the
+// call can be repeated later and only the unfinished targets are deployed again.
+async function deployManifestTargets(manifest, deployTarget, outcomes = {}) {
+    const deploy = async (target) => {
+        if (outcomes[target.name]) {
+            return;
+        }
+        try {
+            const result = await deployTarget(target);
+            if (!result || !result.inProgress) {
+                outcomes[target.name] = { status: 'SUCCEEDED', result };
+            }
+        } catch (error) {
+            outcomes[target.name] = { status: 'FAILED', error: error.message };
+        }
+    };
+
+    if (manifest.mode === 'parallel') {
+        await Promise.all(manifest.targets.map(deploy));
+    } else {
+        for (const target of manifest.targets) {
+            await deploy(target);
+            if (!outcomes[target.name] || outcomes[target.name].status === 'FAILED') {
+                break;
+            }
+        }
+    }
+
+    const pending = manifest.targets.filter((target) => !outcomes[target.name]);
+    const failed = Object.values(outcomes).some((outcome) => outcome.status === 'FAILED');
+    // Parallel targets always run to the end; sequential ones are skipped after a failure
+    if (pending.length > 0 && (manifest.mode === 'parallel' || !failed)) {
+        const total = manifest.targets.length;
+        return {
+            inProgress: true,
+            summary: `${total - pending.length} of ${total} manifest targets finished`
+        };
+    }
+
+    const results = manifest.targets.map((target) => ({
+        name: target.name,
+        functionName: target.functionName,
+        ...(outcomes[target.name] || { status: 'SKIPPED' })
+    }));
+
+    const failures = results.filter((result) => result.status === 'FAILED');
+    if (failures.length > 0) {
+        const summary = failures.map((result) => `${result.name} (${result.error})`).join(', ');
+        throw new Error(`Manifest deployment failed for ${summary}`);
+    }
+
+    return { results };
+}
+
+module.exports = {
+    DEFAULT_MANIFEST_FILE,
+    readDeployManifest,
+    deployManifestTargets
+};
@@ -0,0 +1,118 @@
+// Artifact promotion: the artifact of a deployment that passed in an environment is kept in the promotion
+// bucket under its content hash and recorded as a release of that environment. A deployment with
+// promoteFrom deploys that exact artifact instead of the pipeline's own build.
+// Releases share the history table: pk = "release#<environment>", sk = "<verifiedAt>#<jobId>". They have no
+// environment attribute, so they stay out of the byEnvironment index.
+
+const { createS3Artifact, hashArtifact } = require('./artifacts');
+
+function releaseKey(environment) {
+    return `release#${environment}`;
+}
+
+// The hex form of the sha256, since base64 is not safe in an object key
+function artifactKey(artifactHash) {
+    return `artifacts/${Buffer.from(artifactHash, 'base64').toString('hex')}.zip`;
+}
+
+// Keeps the artifact and records it as the newest release of release.environment.
+// release: { environment, jobId, commitSha, deploymentType, promotedFrom, artifactHash }; the artifact is only
+// hashed when artifactHash is not already known. Returns the recorded item.
+async function recordRelease(s3, db, { tableName, bucketName }, artifact, release) {
+    const artifactHash = release.artifactHash || await hashArtifact(artifact);
+    const objectKey = artifactKey(artifactHash);
+
+    // The same bytes always get the same key, so a promoted artifact is already where it belongs
+    if (artifact.location.bucketName !== bucketName || artifact.location.objectKey !== objectKey) {
+        await s3.copyObject({
+            Bucket: bucketName,
+            Key: objectKey,
+            CopySource: `${artifact.location.bucketName}/${encodeURIComponent(artifact.location.objectKey)}`
+        }).promise();
+    }
+
+    const verifiedAt = new Date().toISOString();
+    const item = {
+        pk: releaseKey(release.environment),
+        sk: `${verifiedAt}#${release.jobId}`,
+        releaseEnvironment: release.environment,
+        artifactHash,
+        artifactBucket: bucketName,
+        artifactKey: objectKey,
+        commitSha: release.commitSha || null,
+        jobId: release.jobId,
+        deploymentType: release.deploymentType,
+        promotedFrom: release.promotedFrom || null,
+        verifiedAt
+    };
+    await db.put({ TableName: tableName, Item: item }).promise();
+
+    return item;
+}
+
+// The newest release of the environment, or its newest release of artifactHash; null when there is none
+async function findRelease(db, tableName, environment, artifactHash) {
+    let exclusiveStartKey;
+
+    do {
+        const page = await db.query({
+            TableName: tableName,
+            KeyConditionExpression: 'pk = :pk',
+            ExpressionAttributeValues: { ':pk': releaseKey(environment) },
+            ScanIndexForward: false,
+            ExclusiveStartKey: exclusiveStartKey
+        }).promise();
+
+        const release = (page.Items || []).find((item) => !artifactHash || item.artifactHash === artifactHash);
+        if (release) {
+            return release;
+        }
+        exclusiveStartKey = page.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return null;
+}
+
+// Releases of the environment, newest first
+async function listReleases(db, tableName, environment, limit = 20) {
+    const response = await db.query({
+        TableName: tableName,
+        KeyConditionExpression: 'pk = :pk',
+        ExpressionAttributeValues: { ':pk': releaseKey(environment) },
+        ScanIndexForward: false,
+        Limit: limit
+    }).promise();
+
+    return response.Items || [];
+}
+
+// Returns { artifact, release } for the artifact to promote from the environment. Refuses anything that has not
+// passed there, and a stored artifact whose bytes no longer match the hash that passed.
+async function loadPromotedArtifact(s3, db, tableName, environment, artifactHash) {
+    const release = await findRelease(db, tableName, environment, artifactHash);
+    if (!release) {
+        throw new Error(artifactHash
+            ? `Artifact ${artifactHash} has not passed in ${environment}, refusing to promote it`
+            : `No artifact has passed in ${environment} yet, nothing to promote`);
+    }
+
+    const artifact = createS3Artifact(s3, 'BuildArtifact', {
+        bucketName: release.artifactBucket,
+        objectKey: release.artifactKey
+    });
+    const actualHash = await hashArtifact(artifact);
+    if (actualHash !== release.artifactHash) {
+        throw new Error(`Artifact ${release.artifactHash} has changed since it passed in ${environment} ` +
+            `(now ${actualHash}), refusing to promote it`);
+    }
+
+    return { artifact, release };
+}
+
+module.exports = {
+    artifactKey,
+    recordRelease,
+    findRelease,
+    listReleases,
+    loadPromotedArtifact
+};
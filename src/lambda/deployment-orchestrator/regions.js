@@ -0,0 +1,106 @@
+// Deployments to several regions from one action: the same artifact and settings, with clients for each region
+
+const REGION_PATTERN = /^[a-z]{2}(-gov|-iso[a-z]?)?-[a-z]+-\d$/;
+const REGION_ORDERS = ['sequential', 'parallel'];
+
+// The region the orchestrator runs in; deployments there keep their unqualified lock and history names
+function homeRegion() {
+    return process.env.AWS_REGION || 'us-east-1';
+}
+
+// Config check for the regions setting
+function checkRegions(regions) {
+    if (regions.length === 0) {
+        return 'must list at least one region';
+    }
+
+    const invalid = regions.find((region) => !REGION_PATTERN.test(region));
+    if (invalid !== undefined) {
+        return `"${invalid}" is not a region name`;
+    }
+
+    const repeated = regions.find((region, index) => regions.indexOf(region) !== index);
+    return repeated === undefined ? null : `"${repeated}" is listed more than once`;
+}
+
+// "lambda:orders-api" in the home region, "lambda:orders-api@eu-west-1" anywhere else
+function qualifyTarget(name, region) {
+    return region === homeRegion() ? name : `${name}@${region}`;
+}
+
+// Lambda reads zip packages from a bucket in the function's region, so stagingBucket may name one per region
+function configForRegion(config, region) {
+    const regionConfig = { ...config, region };
+    if (config.stagingBucket) {
+        regionConfig.stagingBucket = config.stagingBucket.replace('{region}', region);
+    }
+    return regionConfig;
+}
+
+// Calls deployRegion(region) for every region that has not finished; it returns a result, an in-progress
+// result or throws. state[region] records { result } or { error } so later invocations skip finished regions.
+//   sequential: one region at a time in the listed order, stopping at the first failure
+//   parallel: every region at once; a failure does not stop the others and is reported once all have finished
+// Returns { inProgress: true, summary } while a region is still deploying, otherwise { results, failures, skipped }.
+async function deployToRegions(regions, order, state, deployRegion) {
+    const finished = (region) => Boolean(state[region].result || state[region].error);
+    const failed = () => regions.some((region) => state[region].error);
+
+    const deploy = async (region) => {
+        try {
+            const result = await deployRegion(region);
+            if (!result.inProgress) {
+                state[region].result = result;
+            }
+            return result;
+        } catch (error) {
+            console.error(`Deployment to ${region} failed:`, error);
+            state[region].error = error.message;
+            return null;
+        }
+    };
+
+    const pending = regions.filter((region) => !finished(region));
+    const waiting = [];
+
+    if (order === 'parallel') {
+        const results = await Promise.all(pending.map(deploy));
+        results.forEach((result, index) => {
+            if (result && result.inProgress) {
+                waiting.push(`${pending[index]}: ${result.summary}`);
+            }
+        });
+    } else {
+        for (const region of pending) {
+            if (failed()) {
+                break;
+            }
+            const result = await deploy(region);
+            if (result && result.inProgress) {
+                waiting.push(`${region}: ${result.summary}`);
+                break;
+            }
+        }
+    }
+
+    if (waiting.length > 0) {
+        return { inProgress: true, summary: waiting.join('; ') };
+    }
+
+    return {
+        results: Object.fromEntries(regions.filter((region) => state[region].result)
+            .map((region) => [region, state[region].result])),
+        failures: regions.filter((region) => state[region].error)
+            .map((region) => ({ region, error: state[region].error })),
+        skipped: regions.filter((region) => !finished(region))
+    };
+}
+
+module.exports = {
+    REGION_ORDERS,
+    homeRegion,
+    checkRegions,
+    qualifyTarget,
+    configForRegion,
+    deployToRegions
+};
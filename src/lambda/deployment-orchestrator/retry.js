@@ -0,0 +1,165 @@
+// Shared retry policy for the orchestrator's AWS calls: throttling, updates that conflict with one still in
+// progress and transient service errors are retried with exponential backoff and full jitter. Anything else
+// fails at once. Only idempotent operations are retried, since a timed-out request may still have gone through;
+// the wrapped clients are created with the SDK's own retries off so the two never multiply.
+
+const { sleep } = require('./utils');
+
+const RETRY_POLICY = {
+    maxAttempts: 6,
+    baseDelayMs: 250,
+    maxDelayMs: 10000
+};
+
+const THROTTLING_CODES = new Set([
+    'Throttling',
+    'ThrottlingException',
+    'ThrottledException',
+    'TooManyRequestsException',
+    'RequestLimitExceeded',
+    'ProvisionedThroughputExceededException',
+    'SlowDown'
+]);
+
+const CONFLICT_CODES = new Set([
+    'ResourceConflictException',
+    'ConcurrentModificationException',
+    'OperationAbortedException'
+]);
+
+const TRANSIENT_CODES = new Set([
+    'InternalFailure',
+    'InternalServerError',
+    'ServiceException',
+    'ServiceUnavailable',
+    'ServiceUnavailableException',
+    'RequestTimeout',
+    'RequestTimeoutException',
+    'TimeoutError',
+    'NetworkingError'
+]);
+
+// Reads, and writes that leave the same result however often they are sent, by service. Conditional DynamoDB
+// writes are listed too: their callers treat a failed condition on a repeated write as their own. Everything
+// else, e.g. lambda.publishVersion, ecs.registerTaskDefinition or codepipeline.putJobSuccessResult, is sent once.
+const IDEMPOTENT_OPERATIONS = {
+    codepipeline: ['getJobDetails', 'getPipelineExecution'],
+    lambda: [
+        'getFunction',
+        'getFunctionConfiguration',
+        'getAlias',
+        'getFunctionConcurrency',
+        'updateFunctionCode',
+        'updateFunctionConfiguration',
+        'updateAlias',
+        'putFunctionConcurrency',
+        'deleteFunctionConcurrency'
+    ],
+    s3: ['getObject', 'headObject', 'putObject', 'copyObject', 'deleteObject', 'deleteObjects'],
+    cloudwatch: ['describeAlarms'],
+    ssm: ['getParameter'],
+    secretsmanager: ['getSecretValue'],
+    ecs: ['describeServices', 'describeTaskDefinition', 'describeTasks', 'listTasks', 'updateService'],
+    // Repeats carry the same CallerReference, which CloudFront deduplicates
+    cloudfront: ['createInvalidation'],
+    dynamodb: ['get', 'query', 'put', 'update', 'delete', 'transactWrite'],
+    sts: ['assumeRole']
+};
+
+// Managed uploads retry their own parts (and cannot send a consumed stream twice); waiters already poll
+const PASSED_THROUGH = new Set(['upload', 'waitFor']);
+
+// 'throttling', 'conflict' or 'transient' for errors worth another attempt, null for the rest
+function classifyError(error) {
+    if (THROTTLING_CODES.has(error.code) || error.statusCode === 429) {
+        return 'throttling';
+    }
+    // Lambda also reports names that are taken (e.g. "Alias already exists") as a conflict
+    if (CONFLICT_CODES.has(error.code) && !/already exists/i.test(error.message)) {
+        return 'conflict';
+    }
+    if (TRANSIENT_CODES.has(error.code) || error.statusCode >= 500) {
+        return 'transient';
+    }
+    return null;
+}
+
+// Full jitter: a random delay up to baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+function backoffDelay(attempt, policy = RETRY_POLICY) {
+    return Math.floor(Math.random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1)));
+}
+
+// Calls send(attempt) until it succeeds, fails with an error that is not worth retrying or runs out of
+// attempts. description names the call in the log, e.g. "lambda.updateFunctionConfiguration".
+async function withRetry(send, description, policy = RETRY_POLICY) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await send(attempt);
+        } catch (error) {
+            const reason = classifyError(error);
+            if (!reason) {
+                throw error;
+            }
+            const failure = `${reason}: ${error.code || error.statusCode} ${error.message}`;
+            if (attempt >= policy.maxAttempts) {
+                console.log(`${description} failed after ${attempt} attempts (${failure}), giving up`);
+                throw error;
+            }
+
+            const delayMs = backoffDelay(attempt, policy);
+            console.log(`${description} failed on attempt ${attempt} of ${policy.maxAttempts} (${failure}), ` +
+                `retrying in ${delayMs} ms`);
+            await sleep(delayMs);
+        }
+    }
+}
+
+// The request keeps working as before, except that promise() retries. The first attempt sends the
+// request itself; later ones send a new request made by resend().
+function retryingRequest(request, resend, description, policy) {
+    return new Proxy(request, {
+        get(target, property) {
+            if (property === 'promise') {
+                return () => withRetry((attempt) => (attempt === 1 ? target : resend()).promise(), description, policy);
+            }
+            const value = Reflect.get(target, property);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+// Wraps an AWS client (or DocumentClient) so the idempotent requests it makes retry under the policy.
+// serviceName picks the operations from IDEMPOTENT_OPERATIONS and prefixes them in the log.
+function retryingClient(client, serviceName, policy = RETRY_POLICY) {
+    const idempotent = new Set(IDEMPOTENT_OPERATIONS[serviceName] || []);
+
+    return new Proxy(client, {
+        get(target, property) {
+            const value = Reflect.get(target, property);
+            if (typeof value !== 'function') {
+                return value;
+            }
+            if (PASSED_THROUGH.has(property) || !idempotent.has(property)) {
+                return value.bind(target);
+            }
+
+            return (...args) => {
+                const request = value.apply(target, args);
+                if (!request || typeof request.promise !== 'function') {
+                    return request;
+                }
+                const resend = () => value.apply(target, args);
+                return retryingRequest(request, resend, `${serviceName}.${String(property)}`, policy);
+            };
+        }
+    });
+}
+
+module.exports = {
+    RETRY_POLICY,
+    IDEMPOTENT_OPERATIONS,
+    classifyError,
+    backoffDelay,
+    withRetry,
+    retryingClient
+};
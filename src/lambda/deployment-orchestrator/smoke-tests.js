@@ -0,0 +1,149 @@
+// Smoke tests declared in the deployment config, run once a deployment is verified and before it is recorded:
+//   { "name": "greets", "type": "invoke", "payload": { ... },
+//     "expect": { "statusCode": 200, "match": { "body.message": "^Hello" } } }
+//   { "name": "homepage", "type": "http", "url": "https://example.com/",
+//     "expect": { "statusCode": 200, "maxLatencyMs": 500 } }
+// invoke tests of a Lambda deployment call targetFunction through its alias unless they name a functionName and
+// qualifier; other deployment types must name the functionName.
+// match maps dot paths in the response to a regular expression (for strings) or an exact value.
+
+const SMOKE_TEST_TYPES = ['invoke', 'http'];
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Config check for the smokeTests setting
+function checkSmokeTests(tests) {
+    for (const [index, test] of tests.entries()) {
+        const label = test.name ? `"${test.name}"` : `entry ${index}`;
+        if (!SMOKE_TEST_TYPES.includes(test.type)) {
+            return `${label} must have a type of ${SMOKE_TEST_TYPES.join(' or ')}`;
+        }
+        if (test.type === 'http' && typeof test.url !== 'string') {
+            return `${label} needs a url`;
+        }
+        if (test.expect !== undefined && (typeof test.expect !== 'object' || Array.isArray(test.expect))) {
+            return `${label} has an invalid expect, expected an object`;
+        }
+    }
+    return null;
+}
+
+function valueAt(object, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]),
+        object);
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Every way the response misses the expectations
+function compare(response, durationMs, expectations = {}) {
+    const failures = [];
+
+    if (expectations.statusCode !== undefined && response.statusCode !== expectations.statusCode) {
+        failures.push(`statusCode: expected ${expectations.statusCode}, got ${response.statusCode}`);
+    }
+    if (expectations.maxLatencyMs !== undefined && durationMs > expectations.maxLatencyMs) {
+        failures.push(`took ${durationMs} ms, limit ${expectations.maxLatencyMs} ms`);
+    }
+
+    for (const [path, expected] of Object.entries(expectations.match || {})) {
+        const actual = valueAt(response, path);
+        const text = typeof actual === 'string' ? actual : JSON.stringify(actual);
+        const matches = typeof expected === 'string'
+            ? actual !== undefined && new RegExp(expected).test(text)
+            : text === JSON.stringify(expected);
+        if (!matches) {
+            failures.push(`${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    return failures;
+}
+
+// The function's response payload; a JSON string body (API Gateway proxy style) is parsed so its fields can be matched
+async function invoke(lambda, test, defaults) {
+    const response = await lambda.invoke({
+        FunctionName: test.functionName || defaults.functionName,
+        Qualifier: test.functionName ? test.qualifier : test.qualifier || defaults.qualifier,
+        InvocationType: 'RequestResponse',
+        Payload: JSON.stringify(test.payload || {})
+    }).promise();
+
+    if (response.FunctionError) {
+        throw new Error(`function raised ${response.FunctionError}: ${response.Payload}`);
+    }
+
+    const payload = parseJson(response.Payload || '{}');
+    if (payload && typeof payload.body === 'string') {
+        return { ...payload, body: parseJson(payload.body) };
+    }
+    return payload;
+}
+
+async function request(test) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), test.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(test.url, {
+            method: test.method || 'GET',
+            headers: test.headers,
+            body: typeof test.body === 'object' ? JSON.stringify(test.body) : test.body,
+            signal: controller.signal
+        });
+
+        return { statusCode: response.status, body: parseJson(await response.text()) };
+    } catch (error) {
+        throw new Error(error.name === 'AbortError'
+            ? `no response within ${test.timeoutMs || DEFAULT_TIMEOUT_MS} ms`
+            : error.message);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Runs the tests one after another. defaults: { functionName, qualifier } for invoke tests.
+// Returns { passed, failed, results: [{ name, type, passed, durationMs, failures }] }.
+async function runSmokeTests({ lambda }, tests, defaults = {}) {
+    const results = [];
+
+    for (const [index, test] of tests.entries()) {
+        const name = test.name || `${test.type} test ${index + 1}`;
+        const startedAt = Date.now();
+        let failures;
+
+        try {
+            const response = test.type === 'http' ? await request(test) : await invoke(lambda, test, defaults);
+            failures = compare(response, Date.now() - startedAt, test.expect);
+        } catch (error) {
+            failures = [error.message];
+        }
+
+        const durationMs = Date.now() - startedAt;
+        results.push({ name, type: test.type, passed: failures.length === 0, durationMs, failures });
+        console.log(`Smoke test ${name}: ${failures.length === 0 ? 'passed' : failures.join('; ')}`);
+    }
+
+    const failed = results.filter((result) => !result.passed).length;
+    return { passed: results.length - failed, failed, results };
+}
+
+// "1 of 3 smoke tests failed: greets (statusCode: expected 200, got 500)"
+function formatReport(report) {
+    const failures = report.results
+        .filter((result) => !result.passed)
+        .map((result) => `${result.name} (${result.failures.join('; ')})`);
+
+    return `${report.failed} of ${report.results.length} smoke tests failed: ${failures.join(', ')}`;
+}
+
+module.exports = {
+    checkSmokeTests,
+    runSmokeTests,
+    formatReport
+};
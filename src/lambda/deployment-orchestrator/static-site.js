@@ -0,0 +1,179 @@
+// Static site deployment: sync the unpacked build artifact to an S3 bucket and invalidate CloudFront
+
+const crypto = require('crypto');
+const mime = require('mime-types');
+const { minimatch } = require('minimatch');
+const { listArtifactFiles, readArtifactFile } = require('./artifacts');
+
+const UPLOAD_CONCURRENCY = 10;
+const DELETE_BATCH_SIZE = 1000;
+// Past this many changed paths a single wildcard invalidation is cheaper than listing them
+const MAX_INVALIDATION_PATHS = 100;
+const INDEX_DOCUMENT = /(^|\/)index\.html$/;
+// Where archive mode keeps its zips under the prefix (see targets/s3.js); a site sync never deletes them
+const ARCHIVE_PREFIX = 'deployments/';
+
+function contentTypeFor(filePath) {
+    return mime.contentType(filePath.split('/').pop()) || 'application/octet-stream';
+}
+
+// The first rule whose glob matches the path wins, e.g. { pattern: 'assets/**', value: 'max-age=31536000' }
+function cacheControlFor(filePath, rules) {
+    const rule = (rules || []).find((item) => minimatch(filePath, item.pattern, { dot: true, matchBase: true }));
+    return rule ? rule.value : undefined;
+}
+
+function joinKey(prefix, filePath) {
+    return prefix ? `${prefix.replace(/\/+$/, '')}/${filePath}` : filePath;
+}
+
+// Single-part uploads use the MD5 of the body as their ETag, which tells us whether a file changed
+function md5(data) {
+    return crypto.createHash('md5').update(data).digest('hex');
+}
+
+async function listBucketObjects(s3, bucket, prefix) {
+    const objects = new Map();
+    let continuationToken;
+
+    do {
+        const page = await s3.listObjectsV2({
+            Bucket: bucket,
+            Prefix: prefix || undefined,
+            ContinuationToken: continuationToken
+        }).promise();
+
+        for (const object of page.Contents || []) {
+            objects.set(object.Key, object.ETag ? object.ETag.replace(/"/g, '') : null);
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+}
+
+async function inBatches(items, size, handler) {
+    for (let index = 0; index < items.length; index += size) {
+        await handler(items.slice(index, index + size));
+    }
+}
+
+// CloudFront caches an index document under its directory's path as well, e.g. dir/index.html as /dir/
+function pathsForKey(key) {
+    const keyPath = `/${encodeURI(key)}`;
+    return INDEX_DOCUMENT.test(key) ? [keyPath, keyPath.replace(/index\.html$/, '')] : [keyPath];
+}
+
+async function invalidatePaths(cloudfront, distributionId, keys) {
+    const keyPaths = [...new Set(keys.flatMap(pathsForKey))];
+    const paths = keyPaths.length > MAX_INVALIDATION_PATHS ? ['/*'] : keyPaths;
+
+    const result = await cloudfront.createInvalidation({
+        DistributionId: distributionId,
+        InvalidationBatch: {
+            CallerReference: `lambdadeploy-${Date.now()}`,
+            Paths: {
+                Quantity: paths.length,
+                Items: paths
+            }
+        }
+    }).promise();
+
+    console.log('CloudFront invalidation created:', result.Invalidation.Id);
+    return { id: result.Invalidation.Id, paths };
+}
+
+// Compares the files under sourceDirectory with the bucket. onChanged(file, key, data) is called for every
+// file whose content differs; with deleteStale: true, stale lists the objects under the site's prefix that
+// are no longer part of the site.
+async function compareSite(s3, artifact, options, onChanged) {
+    const prefix = options.prefix || '';
+    const files = await listArtifactFiles(artifact, options.sourceDirectory);
+
+    if (files.length === 0) {
+        throw new Error(`Build artifact has no files under ${options.sourceDirectory || 'its root'}`);
+    }
+
+    // "site/" rather than "site", so a sync cannot reach into "site-old/"
+    const existing = await listBucketObjects(s3, options.bucketName, joinKey(prefix, ''));
+    const changed = [];
+
+    // Files are read from the artifact a batch at a time and only passed on when their content changed
+    await inBatches(files, UPLOAD_CONCURRENCY, (batch) => Promise.all(batch.map(async (file) => {
+        const key = joinKey(prefix, file.path);
+        const data = await readArtifactFile(artifact, file.name);
+        if (existing.get(key) === md5(data)) {
+            return;
+        }
+
+        await onChanged(file, key, data);
+        changed.push(key);
+    })));
+
+    const siteKeys = new Set(files.map((file) => joinKey(prefix, file.path)));
+    const archive = joinKey(prefix, ARCHIVE_PREFIX);
+    const stale = options.deleteStale === true
+        ? [...existing.keys()].filter((key) => !siteKeys.has(key) && !key.startsWith(archive))
+        : [];
+
+    return { files, changed, stale };
+}
+
+// What syncStaticSite would upload and delete, read without changing the bucket
+async function planStaticSite(s3, artifact, options) {
+    const { files, changed, stale } = await compareSite(s3, artifact, options, async () => {});
+
+    return {
+        bucket: options.bucketName,
+        filesTotal: files.length,
+        upload: changed,
+        delete: stale
+    };
+}
+
+// Copies every changed file to the bucket and removes stale objects
+async function syncStaticSite({ s3, cloudfront }, artifact, options) {
+    const bucket = options.bucketName;
+    const { files, changed, stale } = await compareSite(s3, artifact, options, (file, key, data) => s3.putObject({
+        Bucket: bucket,
+        Key: key,
+        Body: data,
+        ContentType: contentTypeFor(file.path),
+        CacheControl: cacheControlFor(file.path, options.cacheControl)
+    }).promise());
+
+    await inBatches(stale, DELETE_BATCH_SIZE, (batch) => s3.deleteObjects({
+        Bucket: bucket,
+        Delete: {
+            Objects: batch.map((key) => ({ Key: key })),
+            Quiet: true
+        }
+    }).promise());
+
+    console.log(`Synced ${files.length} files to ${bucket}: ${changed.length} uploaded, ${stale.length} deleted`);
+
+    const touched = [...changed, ...stale];
+    let invalidation = null;
+    if (options.cloudFrontDistributionId && touched.length > 0) {
+        invalidation = await invalidatePaths(cloudfront, options.cloudFrontDistributionId, touched);
+    }
+
+    return {
+        type: 's3',
+        mode: 'site',
+        bucket,
+        filesTotal: files.length,
+        uploaded: changed,
+        deleted: stale,
+        invalidation
+    };
+}
+
+module.exports = {
+    ARCHIVE_PREFIX,
+    joinKey,
+    contentTypeFor,
+    cacheControlFor,
+    planStaticSite,
+    syncStaticSite
+};
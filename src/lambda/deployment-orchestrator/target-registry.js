@@ -0,0 +1,97 @@
+// Deployment targets by deploymentType. A target is an object with:
+//   type       the deploymentType that selects it
+//   schema     its UserParameters fields, validated like the shared ones (required: true means required
+//              when this target is selected)
+//   validate   (config) => list of problems that need more than one field to see; optional
+//   plan       (config, context) => { targets }: lock names of what the deployment changes. For a dry run
+//              (context.dryRun) it also returns changes: [{ target, summary, ...details }] without changing anything
+//   deploy     (config, context) => result, or { inProgress: true, summary } to be called again later
+//   verify     (config, result, context) => null, or { inProgress: true, summary }; optional
+//   rollback   (config, context, error) => note appended to the failure message, or null; optional
+// context: { artifacts, appArtifact, clients, state, timeRemaining, jobId }. state is saved between
+// invocations, so everything a target needs to resume (or roll back) belongs there.
+
+const { loadModules } = require('../shared/utils');
+
+const targets = new Map();
+
+function registerTarget(target) {
+    if (!target || typeof target.type !== 'string' || target.type === '') {
+        throw new Error('Deployment target needs a type');
+    }
+    for (const method of ['deploy', 'plan']) {
+        if (typeof target[method] !== 'function') {
+            throw new Error(`Deployment target ${target.type} has no ${method} function`);
+        }
+    }
+    for (const method of ['validate', 'verify', 'rollback']) {
+        if (target[method] !== undefined && typeof target[method] !== 'function') {
+            throw new Error(`Deployment target ${target.type}: ${method} must be a function`);
+        }
+    }
+    if (targets.has(target.type)) {
+        throw new Error(`Deployment target ${target.type} is already registered`);
+    }
+
+    targets.set(target.type, target);
+    return target;
+}
+
+function getTarget(type) {
+    const target = targets.get(type);
+    if (!target) {
+        throw new Error(`Unsupported deployment type: ${type}`);
+    }
+    return target;
+}
+
+function listTargets() {
+    return [...targets.values()];
+}
+
+// Team targets, see loadModules
+function loadTargetModules(modulePaths, root) {
+    return loadModules(modulePaths, registerTarget, root);
+}
+
+// Deploy, verify, then check(result) if given (e.g. smoke tests); a failure in any of them is handed to rollback
+// and its note added to the message. context.state.result remembers the deployed result while verification
+// spans several invocations.
+async function runTarget(target, config, context, check) {
+    const { state } = context;
+
+    try {
+        if (!state.deployed) {
+            const result = await target.deploy(config, context);
+            if (result.inProgress) {
+                return result;
+            }
+            state.deployed = true;
+            state.result = result;
+        }
+
+        const verification = target.verify ? await target.verify(config, state.result, context) : null;
+        if (verification && verification.inProgress) {
+            return verification;
+        }
+
+        if (check) {
+            await check(state.result);
+        }
+        return state.result;
+    } catch (error) {
+        const note = target.rollback ? await target.rollback(config, context, error) : null;
+        if (note) {
+            error.message = `${error.message}; ${note}`;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    registerTarget,
+    getTarget,
+    listTargets,
+    loadTargetModules,
+    runTarget
+};
@@ -0,0 +1,66 @@
+// ECS target: registers a task definition revision with the built images and rolls the service onto it
+
+const { deployEcsService, planEcsService } = require('../ecs-deployment');
+
+const ECS_SCHEMA = {
+    serviceName: { type: 'string', required: true },
+    clusterName: { type: 'string' },
+    imageDefinitionsFile: { type: 'string' },
+    taskDefinitionTemplate: { type: 'string' }
+};
+
+async function plan(config, context) {
+    const target = `ecs:${config.clusterName || 'default'}/${config.serviceName}`;
+    if (!context.dryRun) {
+        return { targets: [target] };
+    }
+
+    if (!context.appArtifact) {
+        throw new Error('No application artifact found for ECS deployment');
+    }
+
+    const service = await planEcsService(context.clients.ecs, context.appArtifact, {
+        clusterName: config.clusterName,
+        serviceName: config.serviceName,
+        imageDefinitionsFile: config.imageDefinitionsFile,
+        taskDefinitionTemplate: config.taskDefinitionTemplate
+    });
+
+    const images = service.images.map((image) => `${image.name} -> ${image.after}`);
+
+    return {
+        targets: [target],
+        changes: [{
+            target,
+            ...service,
+            summary: `new task definition revision, ${images.length > 0 ? images.join(', ') : 'images unchanged'}`
+        }]
+    };
+}
+
+async function deploy(config, context) {
+    console.log('Deploying to ECS service:', config.serviceName);
+
+    if (!context.appArtifact) {
+        throw new Error('No application artifact found for ECS deployment');
+    }
+
+    try {
+        return await deployEcsService(context.clients.ecs, context.appArtifact, {
+            clusterName: config.clusterName,
+            serviceName: config.serviceName,
+            imageDefinitionsFile: config.imageDefinitionsFile,
+            taskDefinitionTemplate: config.taskDefinitionTemplate
+        }, context);
+    } catch (error) {
+        console.error('ECS deployment failed:', error);
+        throw new Error(`ECS deployment failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    type: 'ecs',
+    schema: ECS_SCHEMA,
+    plan,
+    deploy
+};
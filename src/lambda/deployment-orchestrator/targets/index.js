@@ -0,0 +1,9 @@
+// Built-in deployment targets, registered on first require; team targets are added with loadTargetModules
+
+const registry = require('../target-registry');
+
+registry.registerTarget(require('./lambda'));
+registry.registerTarget(require('./ecs'));
+registry.registerTarget(require('./s3'));
+
+module.exports = registry;
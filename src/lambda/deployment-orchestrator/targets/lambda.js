@@ -0,0 +1,492 @@
+// Lambda target: publishes a version from the build artifact and shifts the alias onto it.
+// With a deploy manifest in the artifact, every function it lists is released the same way.
+
+const {
+    parseStrategy,
+    getAliasVersion,
+    rollbackTraffic,
+    shiftTraffic
+} = require('../traffic-shifting');
+const { verifyDeployment } = require('../health-checks');
+const {
+    stageArtifactStream,
+    stageArtifactFile,
+    hashArtifact,
+    hashArtifactFile
+} = require('../artifacts');
+const { readDeployManifest, deployManifestTargets } = require('../manifest');
+const { resolveEnvironmentVariables, mergeEnvironmentVariables } = require('../environment');
+const { readImageDetail, getDeployedImage, verifyImageDigest } = require('../container-images');
+const {
+    FUNCTION_SETTINGS_SCHEMA,
+    functionSettingsFor,
+    diffFunctionSettings,
+    settingsParameters,
+    getReservedConcurrency,
+    applyReservedConcurrency,
+    describeChanges
+} = require('../function-configuration');
+const { runTarget } = require('../target-registry');
+const { homeRegion } = require('../regions');
+
+function checkStrategy(value) {
+    try {
+        parseStrategy(value);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function checkEnvironmentVariables(variables) {
+    const invalid = Object.keys(variables).find((name) => typeof variables[name] !== 'string');
+    return invalid ? `value of ${invalid} must be a string` : null;
+}
+
+// Lambda reads a zip package only from a bucket in the function's own region, and the artifact bucket is in
+// the orchestrator's. Other regions stage it there: one stagingBucket for one region, "{region}" for several.
+// Another account cannot read the artifact bucket at all, so an assumed role always needs one.
+function validate(config) {
+    if (config.packageType === 'Image') {
+        return [];
+    }
+    if (config.roleArn !== undefined && !config.stagingBucket) {
+        return ['stagingBucket: is required to deploy zip packages with roleArn; the role must be able to write to it'];
+    }
+
+    const regions = config.regions || [config.region];
+    const remote = regions.find((region) => region !== homeRegion());
+    if (!config.stagingBucket && remote) {
+        return [`stagingBucket: is required to deploy zip packages to ${remote}; use {region} to name one per region`];
+    }
+    if (config.stagingBucket && !config.stagingBucket.includes('{region}') && regions.length > 1) {
+        return ['stagingBucket: must contain {region} to stage zip packages in each of regions'];
+    }
+    return [];
+}
+
+const LAMBDA_SCHEMA = {
+    targetFunction: { type: 'string', required: true },
+    deploymentStrategy: { type: ['string', 'object'], check: checkStrategy },
+    aliasName: { type: 'string' },
+    healthCheck: { type: 'boolean' },
+    alarmNames: { type: 'array', items: 'string' },
+    verificationWindowMinutes: { type: 'number', min: 0 },
+    manifestFile: { type: 'string' },
+    stagingBucket: { type: 'string' },
+    packageType: { type: 'string', enum: ['Zip', 'Image'] },
+    imageDetailFile: { type: 'string' },
+    environmentVariables: { type: 'object', check: checkEnvironmentVariables },
+    ...FUNCTION_SETTINGS_SCHEMA
+};
+
+// Read once per invocation; null when the artifact has no manifest
+async function loadManifest(config, context) {
+    if (context.manifest === undefined) {
+        context.manifest = context.appArtifact
+            ? await readDeployManifest(context.appArtifact, config.manifestFile)
+            : null;
+    }
+    return context.manifest;
+}
+
+async function plan(config, context) {
+    const manifest = await loadManifest(config, context);
+    const functionNames = manifest
+        ? manifest.targets.map((target) => target.functionName)
+        : [config.targetFunction];
+    const targets = [...new Set(functionNames)].map((name) => `lambda:${name}`);
+
+    if (!context.dryRun) {
+        return { targets };
+    }
+
+    const { appArtifact } = context;
+    if (!appArtifact) {
+        throw new Error('No application artifact found for Lambda deployment');
+    }
+
+    const changes = [];
+    if (manifest) {
+        for (const target of manifest.targets) {
+            changes.push(await planFunction(targetConfigFor(config, target), context, async () => {
+                const hash = await hashArtifactFile(appArtifact, target.package);
+                if (!hash) {
+                    throw new Error(`Package ${target.package} not found in the build artifact`);
+                }
+                return hash;
+            }));
+        }
+    } else {
+        changes.push(await planFunction(config, context, async () => config.packageType === 'Image'
+            ? (await readImageDetail(appArtifact, config.imageDetailFile)).imageDigest
+            : hashArtifact(appArtifact)));
+    }
+
+    return { targets, changes };
+}
+
+// What deploying would change on one function, read without changing anything. ssm: and secretsmanager:
+// references are resolved before comparing, like a deployment would; variables are listed by name only,
+// since their values may be secrets.
+async function planFunction(config, { clients }, hashNewCode) {
+    const { lambda, ssm, secretsManager } = clients;
+    const configuration = await lambda.getFunctionConfiguration({
+        FunctionName: config.targetFunction
+    }).promise();
+
+    const settings = functionSettingsFor(config);
+    const currentConcurrency = settings.reservedConcurrency !== undefined
+        ? await getReservedConcurrency(lambda, config.targetFunction)
+        : null;
+    const configurationChanges = diffFunctionSettings(configuration, settings, currentConcurrency);
+
+    const currentVariables = (configuration.Environment && configuration.Environment.Variables) || {};
+    const declaredVariables = await resolveEnvironmentVariables({ ssm, secretsManager }, config.environmentVariables);
+    const environmentVariables = Object.keys(declaredVariables)
+        .filter((name) => currentVariables[name] !== declaredVariables[name]);
+
+    const code = {
+        before: config.packageType === 'Image'
+            ? (await getDeployedImage(lambda, config.targetFunction)).imageDigest
+            : configuration.CodeSha256,
+        after: await hashNewCode()
+    };
+
+    const summary = [code.before === code.after ? 'code unchanged' : 'new code'];
+    if (configurationChanges.length > 0) {
+        summary.push(describeChanges(configurationChanges));
+    }
+    if (environmentVariables.length > 0) {
+        summary.push(`environment ${environmentVariables.join(' ')}`);
+    }
+
+    return {
+        target: `lambda:${config.targetFunction}`,
+        alias: {
+            name: config.aliasName,
+            currentVersion: await getAliasVersion(lambda, config.targetFunction, config.aliasName),
+            strategy: config.deploymentStrategy
+        },
+        code,
+        configurationChanges,
+        environmentVariables,
+        summary: summary.join(', ')
+    };
+}
+
+async function deploy(config, context) {
+    const { appArtifact } = context;
+    if (!appArtifact) {
+        throw new Error('No application artifact found for Lambda deployment');
+    }
+
+    const manifest = await loadManifest(config, context);
+    if (manifest) {
+        return deployManifest(config, context, manifest);
+    }
+
+    // Lambda pulls the package from S3 (or the image from ECR) itself. A staged copy is read with the
+    // orchestrator's credentials and written with the target's, like the packages of a manifest.
+    const loadCode = async () => {
+        if (config.packageType === 'Image') {
+            return readImageDetail(appArtifact, config.imageDetailFile);
+        }
+        return config.stagingBucket
+            ? stageArtifactStream(context.clients.s3, appArtifact, {
+                bucketName: config.stagingBucket,
+                objectKey: stagingKey(appArtifact, 'package.zip')
+            })
+            : appArtifact.location;
+    };
+
+    return deployFunction(config, { ...context, loadCode });
+}
+
+// Manifest targets are verified and rolled back one by one while the manifest is deployed
+async function verify(config, result, context) {
+    return await loadManifest(config, context) ? null : verifyFunction(config, result, context);
+}
+
+async function rollback(config, context) {
+    const manifest = await loadManifest(config, context);
+    if (!manifest) {
+        return rollbackFunction(config, context);
+    }
+    // A failed manifest target was rolled back on its own; a finished manifest that fails afterwards (e.g. its
+    // smoke tests) rolls back every target
+    if (!context.state.deployed) {
+        return null;
+    }
+
+    const notes = [];
+    for (const target of manifest.targets) {
+        const state = (context.state.targets || {})[target.name];
+        const note = state ? await rollbackFunction(targetConfigFor(config, target), { ...context, state }) : null;
+        if (note) {
+            notes.push(`${target.name}: ${note}`);
+        }
+    }
+    return notes.length > 0 ? notes.join(', ') : null;
+}
+
+// Where packages are re-staged: the staging bucket if configured, else next to the artifact
+function stagingKey(artifact, filePath) {
+    return `lambdadeploy-staging/${artifact.location.objectKey}/${filePath}`;
+}
+
+// A manifest target's settings layered over the deployment config. Health checks are opted into per
+// target, since an invocation runs the function's real handler.
+function targetConfigFor(config, target) {
+    return {
+        ...config,
+        targetFunction: target.functionName,
+        packageType: 'Zip',
+        aliasName: target.aliasName || config.aliasName,
+        deploymentStrategy: target.deploymentStrategy || config.deploymentStrategy,
+        healthCheck: target.healthCheck === true,
+        environmentVariables: { ...config.environmentVariables, ...target.environmentVariables },
+        ...functionSettingsFor(target)
+    };
+}
+
+async function deployManifest(config, context, manifest) {
+    console.log(`Deploying ${manifest.targets.length} functions from manifest (${manifest.mode})`);
+
+    // Every target keeps its own progress so resumed deployments continue each rollout separately
+    const { appArtifact, clients, state } = context;
+    state.targets = state.targets || {};
+    state.outcomes = state.outcomes || {};
+
+    const deployment = await deployManifestTargets(manifest, async (target) => {
+        const targetConfig = targetConfigFor(config, target);
+
+        // Each package is streamed out of the artifact into its own object for Lambda to read
+        const loadCode = async () => {
+            const code = await stageArtifactFile(clients.s3, appArtifact, target.package, {
+                bucketName: config.stagingBucket || appArtifact.location.bucketName,
+                objectKey: stagingKey(appArtifact, target.package)
+            });
+            if (!code) {
+                throw new Error(`Package ${target.package} not found in the build artifact`);
+            }
+            return code;
+        };
+
+        state.targets[target.name] = state.targets[target.name] || {};
+        return runTarget(FUNCTION_TARGET, targetConfig, {
+            ...context,
+            state: state.targets[target.name],
+            loadCode
+        });
+    }, state.outcomes);
+
+    if (deployment.inProgress) {
+        return deployment;
+    }
+
+    const changed = deployment.results
+        .filter((target) => target.result && target.result.configurationChanges.length > 0)
+        .map((target) => `${target.name}: ${describeChanges(target.result.configurationChanges)}`);
+
+    return {
+        type: 'manifest',
+        mode: manifest.mode,
+        targets: deployment.results,
+        outputVariables: changed.length > 0 ? { configurationChanges: changed.join('; ') } : {}
+    };
+}
+
+// Publishes the new version and shifts the alias to it, checking health and alarms while every
+// partial step bakes. context.state records how far the rollout got when the time budget runs out.
+async function deployFunction(config, context) {
+    console.log('Deploying to Lambda function:', config.targetFunction);
+
+    // Fail before touching the function if the strategy is misconfigured
+    const strategy = parseStrategy(config.deploymentStrategy);
+    const { state } = context;
+
+    try {
+        // A resumed deployment has already published its version and only continues the rollout
+        if (!state.version) {
+            Object.assign(state, await publishVersion(config, context.clients, await context.loadCode()));
+        }
+
+        state.rollout = state.rollout || {};
+        const shift = await shiftTraffic(context.clients.lambda, {
+            functionName: config.targetFunction,
+            aliasName: config.aliasName,
+            fromVersion: state.previousVersion,
+            toVersion: state.version,
+            strategy,
+            progress: state.rollout,
+            timeRemaining: context.timeRemaining,
+            bake: (step, waitMs) => checkVersion(config, context, waitMs)
+        });
+        if (!shift.complete) {
+            return {
+                inProgress: true,
+                summary: `Shifting ${config.aliasName} of ${config.targetFunction} to version ${state.version}`
+            };
+        }
+
+        return {
+            type: 'lambda',
+            functionArn: state.functionArn,
+            version: state.version,
+            previousVersion: state.previousVersion,
+            alias: config.aliasName,
+            strategy: strategy.type,
+            imageUri: state.imageUri,
+            lastModified: state.lastModified,
+            configurationChanges: state.configurationChanges,
+            outputVariables: state.configurationChanges.length > 0
+                ? { configurationChanges: describeChanges(state.configurationChanges) }
+                : {}
+        };
+    } catch (error) {
+        console.error('Lambda deployment failed:', error);
+        throw new Error(`Lambda deployment failed: ${error.message}`);
+    }
+}
+
+// Updates code and configuration and publishes the result as a new version.
+// code is an S3 location ({ bucketName, objectKey }) or a container image ({ imageUri, imageDigest }).
+async function publishVersion(config, { lambda, ssm, secretsManager }, code) {
+    // Resolve ssm: and secretsmanager: references up front so a bad reference changes nothing
+    const declaredVariables = await resolveEnvironmentVariables(
+        { ssm, secretsManager },
+        config.environmentVariables
+    );
+
+    // Only declared settings that differ from the function are changed
+    const currentConfiguration = await lambda.getFunctionConfiguration({
+        FunctionName: config.targetFunction
+    }).promise();
+    const settings = functionSettingsFor(config);
+    const currentConcurrency = settings.reservedConcurrency !== undefined
+        ? await getReservedConcurrency(lambda, config.targetFunction)
+        : null;
+    const changes = diffFunctionSettings(currentConfiguration, settings, currentConcurrency);
+    console.log('Function configuration changes:', describeChanges(changes) || 'none');
+
+    // Update Lambda function code
+    const updateResult = await lambda.updateFunctionCode({
+        FunctionName: config.targetFunction,
+        ...(code.imageUri
+            ? { ImageUri: code.imageUri }
+            : { S3Bucket: code.bucketName, S3Key: code.objectKey }),
+        ...settingsParameters(changes, { withCode: true })
+    }).promise();
+
+    console.log('Lambda function updated:', updateResult.FunctionArn);
+
+    // Wait for function to be updated
+    await lambda.waitFor('functionUpdated', {
+        FunctionName: config.targetFunction
+    }).promise();
+
+    if (code.imageDigest) {
+        await verifyImageDigest(lambda, config.targetFunction, code.imageDigest);
+    }
+
+    // Keep the variables already on the function and layer the declared ones on top
+    const variables = mergeEnvironmentVariables(
+        currentConfiguration.Environment && currentConfiguration.Environment.Variables,
+        {
+            ...declaredVariables,
+            NODE_ENV: config.environment,
+            DEPLOYMENT_TIME: new Date().toISOString()
+        }
+    );
+
+    await lambda.updateFunctionConfiguration({
+        FunctionName: config.targetFunction,
+        ...settingsParameters(changes),
+        Environment: { Variables: variables }
+    }).promise();
+
+    await lambda.waitFor('functionUpdated', {
+        FunctionName: config.targetFunction
+    }).promise();
+
+    await applyReservedConcurrency(lambda, config.targetFunction, changes);
+
+    // Publish an immutable version so the alias can route between old and new code
+    const publishResult = await lambda.publishVersion({
+        FunctionName: config.targetFunction,
+        CodeSha256: updateResult.CodeSha256,
+        Description: `Deployed by LambdaDeploy Pipeline at ${new Date().toISOString()}`
+    }).promise();
+
+    console.log('Published Lambda version:', publishResult.Version);
+
+    return {
+        functionArn: updateResult.FunctionArn,
+        version: publishResult.Version,
+        previousVersion: await getAliasVersion(lambda, config.targetFunction, config.aliasName),
+        imageUri: code.imageUri,
+        configurationChanges: changes,
+        lastModified: publishResult.LastModified || updateResult.LastModified
+    };
+}
+
+function checkVersion(config, context, durationMs) {
+    return verifyDeployment({ lambda: context.clients.lambda, cloudwatch: context.clients.cloudwatch }, {
+        functionName: config.targetFunction,
+        version: context.state.version,
+        healthCheck: config.healthCheck,
+        alarmNames: config.alarmNames,
+        durationMs
+    });
+}
+
+// Keeps checking the fully shifted version for the verification window, across invocations if needed
+async function verifyFunction(config, result, context) {
+    const { state } = context;
+    state.verificationStartedAt = state.verificationStartedAt || Date.now();
+
+    const windowMs = config.verificationWindowMinutes * 60 * 1000;
+    const windowLeft = windowMs - (Date.now() - state.verificationStartedAt);
+    await checkVersion(config, context, Math.max(0, Math.min(windowLeft, context.timeRemaining())));
+
+    if (Date.now() - state.verificationStartedAt < windowMs) {
+        return { inProgress: true, summary: `Verifying version ${state.version} of ${config.targetFunction}` };
+    }
+    return null;
+}
+
+// Sends all traffic back to the version the alias pointed at before the deployment
+async function rollbackFunction(config, context) {
+    const { previousVersion, version } = context.state;
+    if (!version || !previousVersion || previousVersion === version) {
+        return null;
+    }
+
+    await rollbackTraffic(context.clients.lambda, {
+        functionName: config.targetFunction,
+        aliasName: config.aliasName,
+        fromVersion: previousVersion
+    });
+
+    return `rolled back ${config.aliasName} to version ${previousVersion}`;
+}
+
+// One function on its own; the registered target below adds manifest support around it
+const FUNCTION_TARGET = {
+    type: 'lambda',
+    plan,
+    deploy: deployFunction,
+    verify: verifyFunction,
+    rollback: rollbackFunction
+};
+
+module.exports = {
+    type: 'lambda',
+    schema: LAMBDA_SCHEMA,
+    validate,
+    plan,
+    deploy,
+    verify,
+    rollback
+};
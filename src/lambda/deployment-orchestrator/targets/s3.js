@@ -0,0 +1,111 @@
+// S3 target: copies the artifact zip into a bucket, or syncs it file by file as a static site
+
+const { stageArtifactStream } = require('../artifacts');
+const { ARCHIVE_PREFIX, joinKey, planStaticSite, syncStaticSite } = require('../static-site');
+
+function checkCacheControlRules(rules) {
+    const invalid = rules.findIndex((rule) => typeof rule.pattern !== 'string' || typeof rule.value !== 'string');
+    return invalid === -1 ? null : `entry ${invalid} must have a string pattern and value`;
+}
+
+const S3_SCHEMA = {
+    bucketName: { type: 'string', required: true },
+    s3DeployMode: { type: 'string', enum: ['archive', 'site'] },
+    prefix: { type: 'string' },
+    sourceDirectory: { type: 'string' },
+    cacheControl: { type: 'array', items: 'object', check: checkCacheControlRules },
+    deleteStale: { type: 'boolean' },
+    cloudFrontDistributionId: { type: 'string' }
+};
+
+// Archives stay inside the prefix like a site does, so one prefix holds everything a deployment wrote
+function archiveKey(config, timestamp) {
+    return joinKey(config.prefix, `${ARCHIVE_PREFIX}${timestamp}/app.zip`);
+}
+
+async function plan(config, context) {
+    const target = `s3:${config.bucketName}/${config.prefix || ''}`;
+    if (!context.dryRun) {
+        return { targets: [target] };
+    }
+
+    if (!context.appArtifact) {
+        throw new Error('No application artifact found for S3 deployment');
+    }
+
+    if (config.s3DeployMode !== 'site') {
+        const objectKey = archiveKey(config, '<timestamp>');
+        return {
+            targets: [target],
+            changes: [{
+                target,
+                upload: [objectKey],
+                delete: [],
+                summary: `upload ${context.appArtifact.name} as ${objectKey}`
+            }]
+        };
+    }
+
+    const site = await planStaticSite(context.clients.s3, context.appArtifact, {
+        bucketName: config.bucketName,
+        prefix: config.prefix,
+        sourceDirectory: config.sourceDirectory,
+        deleteStale: config.deleteStale
+    });
+
+    return {
+        targets: [target],
+        changes: [{
+            target,
+            ...site,
+            summary: `${site.upload.length} of ${site.filesTotal} files to upload, ${site.delete.length} to delete`
+        }]
+    };
+}
+
+async function deploy(config, context) {
+    console.log('Deploying to S3 bucket:', config.bucketName);
+
+    const { appArtifact, clients } = context;
+
+    try {
+        if (!appArtifact) {
+            throw new Error('No application artifact found for S3 deployment');
+        }
+
+        // Static site mode unpacks the artifact and syncs it file by file
+        if (config.s3DeployMode === 'site') {
+            return await syncStaticSite({ s3: clients.s3, cloudfront: clients.cloudfront }, appArtifact, {
+                bucketName: config.bucketName,
+                prefix: config.prefix,
+                sourceDirectory: config.sourceDirectory,
+                cacheControl: config.cacheControl,
+                deleteStale: config.deleteStale,
+                cloudFrontDistributionId: config.cloudFrontDistributionId
+            });
+        }
+
+        // Streamed rather than copied server-side: the artifact is read with the orchestrator's credentials
+        // and written with the target's, which may belong to an account that cannot read the artifact bucket
+        const copy = await stageArtifactStream(clients.s3, appArtifact, {
+            bucketName: config.bucketName,
+            objectKey: archiveKey(config, Date.now())
+        });
+
+        return {
+            type: 's3',
+            location: `s3://${copy.bucketName}/${copy.objectKey}`,
+            etag: copy.etag
+        };
+    } catch (error) {
+        console.error('S3 deployment failed:', error);
+        throw new Error(`S3 deployment failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    type: 's3',
+    schema: S3_SCHEMA,
+    plan,
+    deploy
+};
@@ -0,0 +1,208 @@
+// Gradual traffic shifting between two versions of a Lambda function using a weighted alias
+
+const { sleep } = require('./utils');
+
+const DEFAULT_ALIAS_NAME = 'live';
+const DEFAULT_STRATEGY = 'AllAtOnce';
+
+const CANARY_PATTERN = /^Canary(\d+)Percent(\d+)Minutes?$/i;
+const LINEAR_PATTERN = /^Linear(\d+)PercentEvery(\d+)Minutes?$/i;
+
+// Accepts CodeDeploy-style names (e.g. Canary10Percent5Minutes, Linear10PercentEvery1Minute)
+// or an object such as { type: 'canary', percentage: 10, intervalMinutes: 5 }
+function parseStrategy(strategy) {
+    if (!strategy) {
+        strategy = DEFAULT_STRATEGY;
+    }
+
+    if (typeof strategy === 'object') {
+        return validateStrategy({
+            type: String(strategy.type || '').toLowerCase(),
+            percentage: Number(strategy.percentage),
+            intervalMinutes: Number(strategy.intervalMinutes)
+        });
+    }
+
+    if (/^AllAtOnce$/i.test(strategy)) {
+        return { type: 'allAtOnce', percentage: 100, intervalMinutes: 0 };
+    }
+
+    const canary = CANARY_PATTERN.exec(strategy);
+    if (canary) {
+        return validateStrategy({
+            type: 'canary',
+            percentage: Number(canary[1]),
+            intervalMinutes: Number(canary[2])
+        });
+    }
+
+    const linear = LINEAR_PATTERN.exec(strategy);
+    if (linear) {
+        return validateStrategy({
+            type: 'linear',
+            percentage: Number(linear[1]),
+            intervalMinutes: Number(linear[2])
+        });
+    }
+
+    throw new Error(`Unsupported deployment strategy: ${strategy}`);
+}
+
+function validateStrategy(strategy) {
+    if (strategy.type === 'allatonce') {
+        return { type: 'allAtOnce', percentage: 100, intervalMinutes: 0 };
+    }
+
+    if (!['canary', 'linear'].includes(strategy.type)) {
+        throw new Error(`Unsupported deployment strategy type: ${strategy.type}`);
+    }
+
+    if (!(strategy.percentage > 0 && strategy.percentage < 100)) {
+        throw new Error(`Deployment strategy percentage must be between 1 and 99, got ${strategy.percentage}`);
+    }
+
+    if (!(strategy.intervalMinutes >= 0)) {
+        throw new Error(`Deployment strategy interval must be zero or more minutes, got ${strategy.intervalMinutes}`);
+    }
+
+    return strategy;
+}
+
+// Turns a strategy into the list of weights the new version receives, each followed by a bake time
+function planTrafficSteps(strategy) {
+    const intervalMs = strategy.intervalMinutes * 60 * 1000;
+
+    switch (strategy.type) {
+        case 'canary':
+            return [
+                { weight: strategy.percentage, bakeMs: intervalMs },
+                { weight: 100, bakeMs: 0 }
+            ];
+        case 'linear': {
+            const steps = [];
+            for (let weight = strategy.percentage; weight < 100; weight += strategy.percentage) {
+                steps.push({ weight, bakeMs: intervalMs });
+            }
+            steps.push({ weight: 100, bakeMs: 0 });
+            return steps;
+        }
+        default:
+            return [{ weight: 100, bakeMs: 0 }];
+    }
+}
+
+async function getAliasVersion(lambda, functionName, aliasName) {
+    try {
+        const alias = await lambda.getAlias({
+            FunctionName: functionName,
+            Name: aliasName
+        }).promise();
+
+        return alias.FunctionVersion;
+    } catch (error) {
+        if (error.code === 'ResourceNotFoundException') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function applyTrafficWeight(lambda, target, weight) {
+    const { functionName, aliasName, fromVersion, toVersion } = target;
+
+    if (weight >= 100) {
+        return lambda.updateAlias({
+            FunctionName: functionName,
+            Name: aliasName,
+            FunctionVersion: toVersion,
+            RoutingConfig: { AdditionalVersionWeights: {} }
+        }).promise();
+    }
+
+    return lambda.updateAlias({
+        FunctionName: functionName,
+        Name: aliasName,
+        FunctionVersion: fromVersion,
+        RoutingConfig: {
+            AdditionalVersionWeights: {
+                [toVersion]: weight / 100
+            }
+        }
+    }).promise();
+}
+
+// Points the alias back at fromVersion and drops any weighted routing to the new version
+async function rollbackTraffic(lambda, { functionName, aliasName, fromVersion }) {
+    console.log(`Rolling back alias ${aliasName} to version ${fromVersion}`);
+
+    return lambda.updateAlias({
+        FunctionName: functionName,
+        Name: aliasName,
+        FunctionVersion: fromVersion,
+        RoutingConfig: { AdditionalVersionWeights: {} }
+    }).promise();
+}
+
+// Moves the alias from fromVersion to toVersion following the given strategy.
+// bake(step, waitMs) is awaited after every partial step and defaults to sleeping for waitMs.
+// progress ({ step, stepStartedAt }) is updated as the shift advances; when timeRemaining() runs
+// out during a bake the shift stops with complete: false and can be resumed later from progress.
+async function shiftTraffic(lambda, options) {
+    const { functionName, aliasName, fromVersion, toVersion, strategy, bake } = options;
+    const progress = options.progress || {};
+    const timeRemaining = options.timeRemaining || (() => Infinity);
+
+    if (!fromVersion) {
+        console.log(`Alias ${aliasName} not found, creating it on version ${toVersion}`);
+        await lambda.createAlias({
+            FunctionName: functionName,
+            Name: aliasName,
+            FunctionVersion: toVersion
+        }).promise();
+
+        return { fromVersion: null, toVersion, steps: [], complete: true };
+    }
+
+    if (fromVersion === toVersion) {
+        console.log(`Alias ${aliasName} already points to version ${toVersion}`);
+        return { fromVersion, toVersion, steps: [], complete: true };
+    }
+
+    const target = { functionName, aliasName, fromVersion, toVersion };
+    const steps = planTrafficSteps(strategy);
+    const bakeStep = bake || ((step, waitMs) => sleep(waitMs));
+
+    for (progress.step = progress.step || 0; progress.step < steps.length; progress.step++) {
+        const step = steps[progress.step];
+
+        if (!progress.stepStartedAt) {
+            console.log(`Shifting ${step.weight}% of ${aliasName} traffic to version ${toVersion}`);
+            await applyTrafficWeight(lambda, target, step.weight);
+            progress.stepStartedAt = Date.now();
+        }
+
+        if (step.weight < 100) {
+            const bakeLeft = step.bakeMs - (Date.now() - progress.stepStartedAt);
+            await bakeStep(step, Math.max(0, Math.min(bakeLeft, timeRemaining())));
+
+            if (Date.now() - progress.stepStartedAt < step.bakeMs) {
+                return { fromVersion, toVersion, steps, complete: false };
+            }
+        }
+
+        progress.stepStartedAt = null;
+    }
+
+    return { fromVersion, toVersion, steps, complete: true };
+}
+
+module.exports = {
+    DEFAULT_ALIAS_NAME,
+    DEFAULT_STRATEGY,
+    parseStrategy,
+    planTrafficSteps,
+    getAliasVersion,
+    applyTrafficWeight,
+    rollbackTraffic,
+    shiftTraffic
+};
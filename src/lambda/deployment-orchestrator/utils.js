@@ -0,0 +1,7 @@
+// Small helpers shared by the deployment orchestrator modules
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+    sleep
+};
@@ -0,0 +1,81 @@
+// Notification channel adapters by type. An adapter is an object with:
+//   type     the type a channel selects it with
+//   render   (message, channel) => payload for the channel, from the neutral message (see message.js)
+//   send     (payload, channel) => delivers the payload; optional, the default posts it as JSON to channel.url
+// A channel is the adapter's settings: { type, url, ... }, e.g. { type: 'webhook', url, secret }.
+
+const axios = require('axios');
+const { loadModules } = require('../shared/utils');
+
+const adapters = new Map();
+
+function registerChannel(adapter) {
+    if (!adapter || typeof adapter.type !== 'string' || adapter.type === '') {
+        throw new Error('Notification channel needs a type');
+    }
+    if (typeof adapter.render !== 'function') {
+        throw new Error(`Notification channel ${adapter.type} has no render function`);
+    }
+    if (adapter.send !== undefined && typeof adapter.send !== 'function') {
+        throw new Error(`Notification channel ${adapter.type}: send must be a function`);
+    }
+    if (adapters.has(adapter.type)) {
+        throw new Error(`Notification channel ${adapter.type} is already registered`);
+    }
+
+    adapters.set(adapter.type, adapter);
+    return adapter;
+}
+
+function getChannel(type) {
+    const adapter = adapters.get(type);
+    if (!adapter) {
+        throw new Error(`Unsupported notification channel: ${type}`);
+    }
+    return adapter;
+}
+
+function listChannels() {
+    return [...adapters.values()];
+}
+
+// Team adapters, see loadModules
+function loadChannelModules(modulePaths, root) {
+    return loadModules(modulePaths, registerChannel, root);
+}
+
+function postJson(payload, channel) {
+    return axios.post(channel.url, payload, {
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    });
+}
+
+// Sends the message to every channel. One channel failing does not keep the message from the others;
+// returns [{ channel, error }] for the ones that failed.
+async function deliver(message, channels) {
+    const outcomes = await Promise.all(channels.map(async (channel) => {
+        try {
+            const adapter = getChannel(channel.type);
+            const payload = adapter.render(message, channel);
+            await (adapter.send || postJson)(payload, channel);
+            console.log(`Notification sent to ${channel.type}`);
+            return null;
+        } catch (error) {
+            console.error(`Failed to send ${channel.type} notification:`, error.message);
+            return { channel, error };
+        }
+    }));
+
+    return outcomes.filter(Boolean);
+}
+
+module.exports = {
+    registerChannel,
+    getChannel,
+    listChannels,
+    loadChannelModules,
+    postJson,
+    deliver
+};
@@ -0,0 +1,52 @@
+// Discord webhooks: a message with one embed. channel: { type: 'discord', url }
+
+const { truncate } = require('../../shared/utils');
+
+const COLORS = {
+    success: 0x36a64f,
+    failure: 0xff0000,
+    started: 0xffaa00,
+    error: 0xff0000,
+    info: 0x439fe0
+};
+
+// Discord rejects embeds whose titles or field values are longer than these
+const TITLE_LENGTH = 256;
+const FIELD_VALUE_LENGTH = 1024;
+
+function renderField(field) {
+    const value = field.url ? `[${field.value}](${field.url})` : field.value;
+    const link = field.link ? ` ([${field.link.text}](${field.link.url}))` : '';
+    return {
+        name: field.title,
+        value: truncate(`${value}${link}`, FIELD_VALUE_LENGTH),
+        inline: field.short
+    };
+}
+
+function render(message) {
+    const embed = {
+        title: truncate(message.title, TITLE_LENGTH),
+        color: COLORS[message.status] || COLORS.info,
+        fields: message.fields.map(renderField),
+        footer: { text: message.footer },
+        timestamp: message.timestamp
+    };
+    if (message.url) {
+        embed.url = message.url;
+    }
+
+    if (message.links.length > 0) {
+        embed.description = message.links.map((link) => `[${link.text}](${link.url})`).join(' · ');
+    }
+
+    return {
+        username: 'LambdaDeploy Pipeline',
+        embeds: [embed]
+    };
+}
+
+module.exports = {
+    type: 'discord',
+    render
+};
@@ -0,0 +1,58 @@
+// Email through SES: HTML with a plain-text alternative, from email-templates.js.
+// channel: { type: 'email', to, cc, from }, where to and cc are an address or a list of them. The sender is
+// from or NOTIFICATION_EMAIL_FROM, and must be verified in SES; recipients are never used as the sender.
+
+const AWS = require('aws-sdk');
+const templates = require('../email-templates');
+const { toList } = require('../../shared/utils');
+
+function render(message) {
+    return {
+        subject: templates.subject(message),
+        html: templates.html(message),
+        text: templates.text(message)
+    };
+}
+
+async function send(email, channel) {
+    const ses = new AWS.SES();
+    const to = toList(channel.to);
+    const cc = toList(channel.cc);
+    if (to.length === 0 && cc.length === 0) {
+        throw new Error(`Email channel ${channel.name || 'email'} has no recipients`);
+    }
+    const from = channel.from || process.env.NOTIFICATION_EMAIL_FROM;
+    if (!from) {
+        throw new Error(`Email channel ${channel.name || 'email'} has no sender; set from or NOTIFICATION_EMAIL_FROM`);
+    }
+
+    await ses.sendEmail({
+        Destination: {
+            ToAddresses: to,
+            CcAddresses: cc
+        },
+        Message: {
+            Body: {
+                Html: {
+                    Charset: 'UTF-8',
+                    Data: email.html
+                },
+                Text: {
+                    Charset: 'UTF-8',
+                    Data: email.text
+                }
+            },
+            Subject: {
+                Charset: 'UTF-8',
+                Data: email.subject
+            }
+        },
+        Source: from
+    }).promise();
+}
+
+module.exports = {
+    type: 'email',
+    render,
+    send
+};
@@ -0,0 +1,11 @@
+// Built-in notification channels, registered on first require; team channels are added with loadChannelModules
+
+const registry = require('../channel-registry');
+
+registry.registerChannel(require('./slack'));
+registry.registerChannel(require('./teams'));
+registry.registerChannel(require('./discord'));
+registry.registerChannel(require('./webhook'));
+registry.registerChannel(require('./email'));
+
+module.exports = registry;
@@ -0,0 +1,99 @@
+// Slack incoming webhooks: a Block Kit message. channel: { type: 'slack', url, channel },
+// where channel optionally overrides the webhook's default Slack channel.
+
+const { truncate } = require('../../shared/utils');
+
+const EMOJI = {
+    success: '✅',
+    failure: '❌',
+    started: '🚀',
+    error: '🚨',
+    info: 'ℹ️'
+};
+
+// Block Kit limits: header text, section text, the text of one section field, fields per section and
+// elements per actions block
+const HEADER_LENGTH = 150;
+const TEXT_LENGTH = 3000;
+const FIELD_LENGTH = 2000;
+const SECTION_FIELDS = 10;
+const ACTION_ELEMENTS = 25;
+
+// mrkdwn treats &, < and > as markup
+function escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderField(field, length) {
+    const value = field.url ? `<${field.url}|${escape(field.value)}>` : escape(field.value);
+    const link = field.link ? ` (<${field.link.url}|${escape(field.link.text)}>)` : '';
+    return { type: 'mrkdwn', text: truncate(`*${escape(field.title)}*\n${value}${link}`, length) };
+}
+
+function button(text, url) {
+    return { type: 'button', text: { type: 'plain_text', text }, url };
+}
+
+function render(message, channel) {
+    const heading = `${EMOJI[message.status] || EMOJI.info} ${message.title}`;
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: truncate(heading, HEADER_LENGTH), emoji: true } }
+    ];
+
+    // Short fields side by side, the others on their own
+    const short = message.fields.filter((field) => field.short);
+    for (let index = 0; index < short.length; index += SECTION_FIELDS) {
+        const fields = short.slice(index, index + SECTION_FIELDS).map((field) => renderField(field, FIELD_LENGTH));
+        blocks.push({ type: 'section', fields });
+    }
+    for (const field of message.fields.filter((candidate) => !candidate.short)) {
+        blocks.push({ type: 'section', text: renderField(field, TEXT_LENGTH) });
+    }
+
+    const buttons = message.links.map((link) => button(link.text, link.url));
+    if (message.retry) {
+        // A link to the execution, where the stage is retried. The action_id and value let a Slack app with
+        // interactivity retry the stage itself.
+        buttons.push({
+            ...button('Retry stage', message.retry.url),
+            style: 'danger',
+            action_id: 'retry_stage',
+            value: JSON.stringify({
+                pipelineName: message.pipelineName,
+                pipelineExecutionId: message.executionId,
+                stageName: message.retry.stage
+            })
+        });
+    }
+    if (buttons.length > 0) {
+        blocks.push({ type: 'actions', elements: buttons.slice(0, ACTION_ELEMENTS) });
+    }
+
+    const ts = Math.floor(new Date(message.timestamp).getTime() / 1000);
+    blocks.push({
+        type: 'context',
+        elements: [
+            {
+                type: 'mrkdwn',
+                text: `${escape(message.footer)} | <!date^${ts}^{date_short_pretty} {time}|${message.timestamp}>`
+            }
+        ]
+    });
+
+    const payload = {
+        username: 'LambdaDeploy Pipeline',
+        icon_emoji: message.status === 'error' ? ':warning:' : ':rocket:',
+        text: heading,
+        blocks
+    };
+    if (channel.channel) {
+        payload.channel = channel.channel;
+    }
+
+    return payload;
+}
+
+module.exports = {
+    type: 'slack',
+    render
+};
@@ -0,0 +1,81 @@
+// Microsoft Teams incoming webhooks and workflows: an Adaptive Card. channel: { type: 'teams', url }
+
+const COLORS = {
+    success: 'Good',
+    failure: 'Attention',
+    started: 'Warning',
+    error: 'Attention',
+    info: 'Default'
+};
+
+// Fact values are markdown, so links go in as [text](url)
+function renderFact(field) {
+    const value = field.url ? `[${field.value}](${field.url})` : field.value;
+    const link = field.link ? ` ([${field.link.text}](${field.link.url}))` : '';
+    return {
+        title: field.title,
+        value: `${value}${link}`
+    };
+}
+
+// One button per link, the pipeline first
+function renderActions(message) {
+    const links = [
+        ...(message.url ? [{ text: 'View pipeline', url: message.url }] : []),
+        ...message.links,
+        ...message.fields.filter((field) => field.link).map((field) => field.link)
+    ];
+    const byUrl = new Map();
+    for (const link of links) {
+        if (!byUrl.has(link.url)) {
+            byUrl.set(link.url, { type: 'Action.OpenUrl', title: link.text, url: link.url });
+        }
+    }
+
+    return [...byUrl.values()];
+}
+
+function render(message) {
+    const actions = renderActions(message);
+
+    return {
+        type: 'message',
+        attachments: [
+            {
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                contentUrl: null,
+                content: {
+                    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                    type: 'AdaptiveCard',
+                    version: '1.4',
+                    body: [
+                        {
+                            type: 'TextBlock',
+                            text: message.title,
+                            weight: 'Bolder',
+                            size: 'Medium',
+                            color: COLORS[message.status] || COLORS.info,
+                            wrap: true
+                        },
+                        {
+                            type: 'FactSet',
+                            facts: message.fields.map(renderFact)
+                        },
+                        {
+                            type: 'TextBlock',
+                            text: message.footer,
+                            isSubtle: true,
+                            size: 'Small'
+                        }
+                    ],
+                    actions
+                }
+            }
+        ]
+    };
+}
+
+module.exports = {
+    type: 'teams',
+    render
+};
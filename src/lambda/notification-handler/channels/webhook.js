@@ -0,0 +1,34 @@
+// Generic webhooks: the neutral message as JSON. channel: { type: 'webhook', url, secret }
+// With a secret, each request is signed so the receiver can check where it came from: X-LambdaDeploy-Signature
+// is "sha256=" and the hex HMAC-SHA256 of "<X-LambdaDeploy-Timestamp>.<body>" keyed with the secret.
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+function sign(body, timestamp, secret) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function render(message) {
+    return JSON.stringify(message);
+}
+
+// The body is posted exactly as it was signed
+function send(body, channel) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (channel.secret) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        headers['X-LambdaDeploy-Timestamp'] = timestamp;
+        headers['X-LambdaDeploy-Signature'] = `sha256=${sign(body, timestamp, channel.secret)}`;
+    }
+
+    return axios.post(channel.url, body, { headers });
+}
+
+module.exports = {
+    type: 'webhook',
+    render,
+    send,
+    sign
+};
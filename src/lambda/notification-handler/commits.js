@@ -0,0 +1,68 @@
+// The commit a pipeline execution built, from its first source revision. CodePipeline records the SHA, the
+// message (plain, or JSON with a CommitMessage for CodeStar connections) and a link, but not the author; for
+// GitHub commits the author is looked up through the GitHub API, with GITHUB_TOKEN when it is set.
+
+const axios = require('axios');
+
+const GITHUB_COMMIT_URL = /^https:\/\/github\.com\/([^/]+)\/([^/]+)\/commit\/([0-9a-f]+)/i;
+
+// Only the first line, as the subject of the commit
+function summaryMessage(revisionSummary) {
+    if (!revisionSummary) {
+        return null;
+    }
+
+    let message = revisionSummary;
+    try {
+        const parsed = JSON.parse(revisionSummary);
+        if (parsed && typeof parsed.CommitMessage === 'string') {
+            message = parsed.CommitMessage;
+        }
+    } catch (error) {
+        // A plain commit message
+    }
+    return message.split('\n')[0].trim() || null;
+}
+
+// "Name (@login)", or null when GitHub does not answer; a missing author should not stop the notification
+async function lookUpGitHubAuthor(url, token) {
+    const [, owner, repo, sha] = url.match(GITHUB_COMMIT_URL);
+    const headers = { Accept: 'application/vnd.github+json' };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    try {
+        const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits/${sha}`, {
+            headers,
+            timeout: 3000
+        });
+        const { commit, author } = response.data;
+        const name = (commit.author && commit.author.name) || null;
+        return author && author.login ? `${name || author.login} (@${author.login})` : name;
+    } catch (error) {
+        console.error(`Could not look up the author of ${url}:`, error.message);
+        return null;
+    }
+}
+
+// { sha, shortSha, message, author, url }, or null when the execution has no source revision
+async function describeCommit(execution, token = process.env.GITHUB_TOKEN) {
+    const revision = (execution.artifactRevisions || []).find((candidate) => candidate.revisionId);
+    if (!revision) {
+        return null;
+    }
+
+    const url = revision.revisionUrl || null;
+    return {
+        sha: revision.revisionId,
+        shortSha: revision.revisionId.substring(0, 7),
+        message: summaryMessage(revision.revisionSummary),
+        author: url && GITHUB_COMMIT_URL.test(url) ? await lookUpGitHubAuthor(url, token) : null,
+        url
+    };
+}
+
+module.exports = {
+    describeCommit
+};
@@ -0,0 +1,128 @@
+// HTML and plain-text email bodies for the neutral message (see message.js). Styles are inline, since most
+// mail clients drop style sheets. Failure emails summarise the stages in a table instead of the
+// Stage durations field.
+
+const { formatDuration } = require('./pipeline-events');
+const { STAGE_DURATIONS_TITLE } = require('./message');
+
+const COLORS = {
+    success: '#2e7d32',
+    failure: '#c62828',
+    started: '#ef6c00',
+    error: '#c62828',
+    info: '#1565c0'
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function subject(message) {
+    return message.pipelineName
+        ? `LambdaDeploy: ${message.pipelineName} - ${message.title}`
+        : `LambdaDeploy: ${message.title}`;
+}
+
+function hasStageTable(message) {
+    return message.status === 'failure' && message.stages.length > 0;
+}
+
+function bodyFields(message) {
+    return hasStageTable(message)
+        ? message.fields.filter((field) => field.title !== STAGE_DURATIONS_TITLE)
+        : message.fields;
+}
+
+function htmlValue(field) {
+    const value = escapeHtml(field.value).replace(/\n/g, '<br>');
+    const linked = field.url ? `<a href="${escapeHtml(field.url)}" style="color:#0b57d0;">${value}</a>` : value;
+    const link = field.link
+        ? ` (<a href="${escapeHtml(field.link.url)}" style="color:#0b57d0;">${escapeHtml(field.link.text)}</a>)`
+        : '';
+    return `${linked}${link}`;
+}
+
+function htmlStageTable(message) {
+    const cell = 'padding:6px 12px;border-bottom:1px solid #e1e4e8;text-align:left;';
+    const rows = message.stages.map(({ stage, status, durationMs }) => {
+        const color = status === 'Failed' ? ` color:${COLORS.failure}; font-weight:bold;` : '';
+        return `<tr><td style="${cell}">${escapeHtml(stage)}</td>` +
+            `<td style="${cell}${color}">${escapeHtml(status)}</td>` +
+            `<td style="${cell}">${formatDuration(durationMs)}</td></tr>`;
+    });
+
+    return '<h2 style="margin:24px 0 8px;font-size:16px;">Stages</h2>' +
+        '<table role="presentation" cellpadding="0" cellspacing="0" style="border-collapse:collapse;width:100%;">' +
+        `<tr><th style="${cell}">Stage</th><th style="${cell}">Status</th><th style="${cell}">Duration</th></tr>` +
+        `${rows.join('')}</table>`;
+}
+
+function html(message) {
+    const fields = bodyFields(message);
+    const facts = fields.filter((field) => field.short).map((field) =>
+        '<tr><th style="padding:4px 16px 4px 0;text-align:left;vertical-align:top;color:#57606a;white-space:nowrap;">' +
+        `${escapeHtml(field.title)}</th><td style="padding:4px 0;">${htmlValue(field)}</td></tr>`);
+    const details = fields.filter((field) => !field.short).map((field) =>
+        `<p style="margin:16px 0 0;"><strong>${escapeHtml(field.title)}</strong><br>${htmlValue(field)}</p>`);
+    const buttons = message.links.map((link) =>
+        `<a href="${escapeHtml(link.url)}" style="display:inline-block;margin:0 8px 8px 0;padding:8px 14px;` +
+        `background:#0b57d0;color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtml(link.text)}</a>`);
+    const color = COLORS[message.status] || COLORS.info;
+
+    return `${[
+        '<!DOCTYPE html>',
+        `<html><head><meta charset="utf-8"><title>${escapeHtml(subject(message))}</title></head>`,
+        '<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;' +
+            'font-size:14px;color:#1f2328;">',
+        '<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;max-width:640px;' +
+            `margin:0 auto;background:#ffffff;border-top:6px solid ${color};border-radius:6px;">`,
+        '<tr><td style="padding:24px;">',
+        `<h1 style="margin:0 0 16px;font-size:20px;color:${color};">${escapeHtml(message.title)}</h1>`,
+        `<table role="presentation" cellpadding="0" cellspacing="0">${facts.join('')}</table>`,
+        ...details,
+        hasStageTable(message) ? htmlStageTable(message) : '',
+        buttons.length > 0 ? `<p style="margin:24px 0 0;">${buttons.join('')}</p>` : '',
+        `<p style="margin:24px 0 0;font-size:12px;color:#57606a;">${escapeHtml(message.footer)} · ` +
+            `${escapeHtml(message.timestamp)}</p>`,
+        '</td></tr></table></body></html>'
+    ].filter(Boolean).join('\n')}\n`;
+}
+
+function textStageTable(message) {
+    const rows = [['Stage', 'Status', 'Duration']].concat(message.stages
+        .map(({ stage, status, durationMs }) => [stage, status, formatDuration(durationMs)]));
+    const widths = [0, 1].map((column) => Math.max(...rows.map((row) => row[column].length)));
+
+    return rows.map((row) => `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`);
+}
+
+function text(message) {
+    const lines = [message.title, '='.repeat(message.title.length), ''];
+
+    for (const field of bodyFields(message)) {
+        const url = field.url ? ` <${field.url}>` : '';
+        const link = field.link ? ` (${field.link.text}: ${field.link.url})` : '';
+        const value = field.value.includes('\n') ? `\n${field.value}` : ` ${field.value}`;
+        lines.push(`${field.title}:${value}${url}${link}`);
+    }
+    if (hasStageTable(message)) {
+        lines.push('', 'Stages', ...textStageTable(message));
+    }
+    if (message.links.length > 0) {
+        lines.push('', ...message.links.map((link) => `${link.text}: ${link.url}`));
+    }
+    lines.push('', '--', message.footer);
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    subject,
+    html,
+    text
+};
@@ -1,35 +1,58 @@
 const AWS = require('aws-sdk');
-const axios = require('axios');
+const { parseEvent, describeExecution } = require('./pipeline-events');
+const { buildMessage, buildErrorMessage } = require('./message');
+const { describeCommit } = require('./commits');
+const channelRegistry = require('./channels');
+const {
+    loadRoutingConfig,
+    compileRoutes,
+    routeNotification,
+    describePipelineContext
+} = require('./routing');
 
 const codepipeline = new AWS.CodePipeline();
 
+// Team channel adapters, e.g. NOTIFICATION_CHANNEL_MODULES=./channels/pagerduty.js
+channelRegistry.loadChannelModules((process.env.NOTIFICATION_CHANNEL_MODULES || '')
+    .split(',').map((modulePath) => modulePath.trim()).filter(Boolean));
+
 exports.handler = async (event) => {
     console.log('Notification handler triggered:', JSON.stringify(event, null, 2));
     
     try {
-        // Parse the CodePipeline event
-        const detail = event.detail;
-        const pipelineName = detail.pipeline;
-        const executionId = detail['execution-id'];
-        const state = detail.state;
+        // Parse the CodePipeline event: pipeline, stage or action execution state change
+        const parsed = parseEvent(event);
+        const { pipelineName, executionId, state } = parsed;
         
         // Get pipeline execution details
-        const pipelineExecution = await codepipeline.getPipelineExecution({
+        const { pipelineExecution } = await codepipeline.getPipelineExecution({
             pipelineName: pipelineName,
             pipelineExecutionId: executionId
         }).promise();
         
-        // Prepare notification message
-        const message = await buildSlackMessage(pipelineName, state, pipelineExecution);
+        // Failed action, durations, the commit built and the branch and environment it came from
+        const notification = await describeExecution(codepipeline, parsed);
+        const commit = await describeCommit(pipelineExecution);
+        const pipelineContext = await describePipelineContext(
+            codepipeline, pipelineName, parsed.stage, pipelineExecution.variables);
+        
+        // Channels the routing rules pick, or every configured channel without rules
+        const routes = await loadRoutes();
+        const channels = routes
+            ? routeNotification(routes, routingContext(notification, pipelineContext))
+            : configuredChannels();
         
-        // Send Slack notification
-        if (process.env.SLACK_WEBHOOK_URL) {
-            await sendSlackNotification(message);
+        if (channels.length === 0) {
+            console.log('No notification rule matched, nothing to send');
         }
         
-        // Send email notification if enabled
-        if (process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true') {
-            await sendEmailNotification(message);
+        // Prepare notification message and send it
+        const message = buildMessage(notification, { commit, branch: pipelineContext.branch });
+        const failures = await channelRegistry.deliver(message, channels);
+        
+        if (failures.length > 0) {
+            throw new Error(`Could not notify ${failures
+                .map(({ channel, error }) => `${channel.type} (${error.message})`).join(', ')}`);
         }
         
         return {
@@ -38,7 +61,11 @@ exports.handler = async (event) => {
                 message: 'Notification sent successfully',
                 pipelineName,
                 state,
-                executionId
+                executionId,
+                level: notification.level,
+                stage: notification.stage,
+                action: notification.action,
+                channels: channels.map((channel) => channel.name || channel.type)
             })
         };
         
@@ -58,144 +85,97 @@ exports.handler = async (event) => {
     }
 };
 
-async function buildSlackMessage(pipelineName, state, execution) {
-    const timestamp = new Date().toISOString();
-    const executionId = execution.pipelineExecutionId;
-    const trigger = execution.trigger || {};
-    
-    let color = '#36a64f'; // green
-    let emoji = '✅';
+// Comma-separated addresses
+function addressList(value) {
+    return (value || '').split(',').map((address) => address.trim()).filter(Boolean);
+}
+
+// Channels come from the environment: one per configured webhook, email when enabled, and any listed in
+// NOTIFICATION_CHANNELS as a JSON array of channel settings, e.g. [{ "type": "teams", "url": "..." }]
+function configuredChannels(env = process.env) {
+    const channels = [];
     
-    if (state === 'FAILED') {
-        color = '#ff0000'; // red
-        emoji = '❌';
-    } else if (state === 'STARTED') {
-        color = '#ffaa00'; // orange
-        emoji = '🚀';
+    if (env.SLACK_WEBHOOK_URL) {
+        channels.push({ type: 'slack', url: env.SLACK_WEBHOOK_URL });
     }
-    
-    const message = {
-        username: 'LambdaDeploy Pipeline',
-        icon_emoji: ':rocket:',
-        attachments: [
-            {
-                color: color,
-                title: `${emoji} Pipeline ${state}`,
-                title_link: `https://console.aws.amazon.com/codesuite/codepipeline/pipelines/${pipelineName}/view`,
-                fields: [
-                    {
-                        title: 'Pipeline',
-                        value: pipelineName,
-                        short: true
-                    },
-                    {
-                        title: 'Status',
-                        value: state,
-                        short: true
-                    },
-                    {
-                        title: 'Execution ID',
-                        value: executionId.substring(0, 8) + '...',
-                        short: true
-                    },
-                    {
-                        title: 'Timestamp',
-                        value: timestamp,
-                        short: true
-                    }
-                ],
-                footer: 'LambdaDeploy Pipeline',
-                ts: Math.floor(Date.now() / 1000)
-            }
-        ]
-    };
-    
-    // Add trigger information if available
-    if (trigger.triggerType === 'Webhook') {
-        message.attachments[0].fields.push({
-            title: 'Triggered by',
-            value: `Git commit: ${trigger.triggerDetail || 'Unknown'}`,
-            short: false
+    if (env.TEAMS_WEBHOOK_URL) {
+        channels.push({ type: 'teams', url: env.TEAMS_WEBHOOK_URL });
+    }
+    if (env.DISCORD_WEBHOOK_URL) {
+        channels.push({ type: 'discord', url: env.DISCORD_WEBHOOK_URL });
+    }
+    if (env.NOTIFICATION_WEBHOOK_URL) {
+        channels.push({ type: 'webhook', url: env.NOTIFICATION_WEBHOOK_URL, secret: env.NOTIFICATION_WEBHOOK_SECRET });
+    }
+    if (env.ENABLE_EMAIL_NOTIFICATIONS === 'true') {
+        channels.push({
+            type: 'email',
+            to: addressList(env.NOTIFICATION_EMAIL),
+            cc: addressList(env.NOTIFICATION_EMAIL_CC),
+            from: env.NOTIFICATION_EMAIL_FROM
         });
     }
+    if (env.NOTIFICATION_CHANNELS) {
+        channels.push(...JSON.parse(env.NOTIFICATION_CHANNELS));
+    }
     
-    return message;
+    return channels;
 }
 
-async function sendSlackNotification(message) {
-    try {
-        const response = await axios.post(process.env.SLACK_WEBHOOK_URL, message, {
-            headers: {
-                'Content-Type': 'application/json'
+let cachedRoutes = null;
+
+// Routing rules from NOTIFICATION_CONFIG, loaded once per container; null when there is none
+function loadRoutes() {
+    const location = process.env.NOTIFICATION_CONFIG;
+    if (!location) {
+        return Promise.resolve(null);
+    }
+    
+    if (!cachedRoutes || cachedRoutes.location !== location) {
+        const routes = loadRoutingConfig(new AWS.S3(), location)
+            .then((notifications) => compileRoutes(notifications));
+        cachedRoutes = { location, routes };
+        
+        // Try again on the next invocation rather than failing every one
+        routes.catch(() => {
+            if (cachedRoutes && cachedRoutes.routes === routes) {
+                cachedRoutes = null;
             }
         });
-        
-        console.log('Slack notification sent successfully:', response.status);
-    } catch (error) {
-        console.error('Failed to send Slack notification:', error.message);
-        throw error;
     }
+    
+    return cachedRoutes.routes;
 }
 
-async function sendEmailNotification(message) {
-    const ses = new AWS.SES();
-    
+// What routing rules match on
+function routingContext(notification, { branch, environment }) {
+    return {
+        pipeline: notification.pipelineName,
+        state: notification.state,
+        stage: notification.stage,
+        level: notification.level,
+        branch,
+        environment
+    };
+}
+
+// Every channel the routing rules know, or every configured one; also when the rules could not be loaded
+async function errorChannels() {
     try {
-        const params = {
-            Destination: {
-                ToAddresses: [process.env.NOTIFICATION_EMAIL]
-            },
-            Message: {
-                Body: {
-                    Text: {
-                        Data: JSON.stringify(message, null, 2)
-                    }
-                },
-                Subject: {
-                    Data: `LambdaDeploy Pipeline Notification - ${message.attachments[0].fields[1].value}`
-                }
-            },
-            Source: process.env.NOTIFICATION_EMAIL
-        };
-        
-        await ses.sendEmail(params).promise();
-        console.log('Email notification sent successfully');
+        const routes = await loadRoutes();
+        return routes ? Object.values(routes.channels) : configuredChannels();
     } catch (error) {
-        console.error('Failed to send email notification:', error.message);
-        throw error;
+        return configuredChannels();
     }
 }
 
+// Failures here are only logged, there is nowhere left to report them
 async function sendErrorNotification(error) {
-    if (!process.env.SLACK_WEBHOOK_URL) return;
-    
-    const errorMessage = {
-        username: 'LambdaDeploy Pipeline',
-        icon_emoji: ':warning:',
-        attachments: [
-            {
-                color: '#ff0000',
-                title: '🚨 Notification Handler Error',
-                fields: [
-                    {
-                        title: 'Error',
-                        value: error.message,
-                        short: false
-                    },
-                    {
-                        title: 'Timestamp',
-                        value: new Date().toISOString(),
-                        short: true
-                    }
-                ],
-                footer: 'LambdaDeploy Pipeline Error Handler'
-            }
-        ]
-    };
-    
     try {
-        await axios.post(process.env.SLACK_WEBHOOK_URL, errorMessage);
-    } catch (slackError) {
-        console.error('Failed to send error notification to Slack:', slackError.message);
+        await channelRegistry.deliver(buildErrorMessage(error), await errorChannels());
+    } catch (notificationError) {
+        console.error('Failed to send error notification:', notificationError.message);
     }
-}
\ No newline at end of file
+}
+
+exports.configuredChannels = configuredChannels;
@@ -0,0 +1,154 @@
+// The channel-neutral notification message every channel adapter renders:
+//   title        e.g. "Action BuildAction in Build FAILED"
+//   status       success, failure, started, error or info; adapters pick colours and emoji from it
+//   url          the pipeline in the console
+//   fields       [{ title, value, short, url, link }]; url links the value itself, link is an optional
+//                { url, text } to show next to it
+//   links        [{ text, url }]: the commit, the pipeline execution and the build logs
+//   retry        { stage, url } of the failed stage to retry, or null
+//   stages       [{ stage, status, durationMs }] in the order they ran; also summed up in the Stage durations field
+//   footer, timestamp
+// plus the pipelineName, executionId, state, level, stage, action, branch, commit and durationMs it describes.
+
+const { formatDuration } = require('./pipeline-events');
+
+const STAGE_DURATIONS_TITLE = 'Stage durations';
+
+const STATUSES = {
+    SUCCEEDED: 'success',
+    FAILED: 'failure',
+    STARTED: 'started',
+    RESUMED: 'started'
+};
+
+function describeSubject(notification) {
+    if (notification.level === 'action') {
+        return `Action ${notification.action} in ${notification.stage}`;
+    }
+    if (notification.level === 'stage') {
+        return `Stage ${notification.stage}`;
+    }
+    return 'Pipeline';
+}
+
+function consoleUrl(pipelineName, executionId) {
+    const base = `https://console.aws.amazon.com/codesuite/codepipeline/pipelines/${pipelineName}`;
+    const region = process.env.AWS_REGION ? `?region=${process.env.AWS_REGION}` : '';
+    return executionId ? `${base}/executions/${executionId}/timeline${region}` : `${base}/view${region}`;
+}
+
+// notification comes from describeExecution, the commit from describeCommit and the branch from
+// describePipelineContext
+function buildMessage(notification, { commit = null, branch = null } = {}) {
+    const { pipelineName, executionId, state } = notification;
+    const executionUrl = consoleUrl(pipelineName, executionId);
+
+    const fields = [
+        { title: 'Pipeline', value: pipelineName, short: true },
+        { title: 'Status', value: state, short: true },
+        { title: 'Execution ID', value: executionId, short: true, url: executionUrl },
+        { title: 'Timestamp', value: new Date().toISOString(), short: true }
+    ];
+
+    if (branch) {
+        fields.push({ title: 'Branch', value: branch, short: true });
+    }
+    if (commit) {
+        fields.push({ title: 'Commit', value: commit.shortSha, short: true, url: commit.url });
+        if (commit.author) {
+            fields.push({ title: 'Author', value: commit.author, short: true });
+        }
+    }
+    if (notification.durationMs > 0) {
+        fields.push({ title: 'Duration', value: formatDuration(notification.durationMs), short: true });
+    }
+    if (notification.level !== 'pipeline') {
+        fields.push({ title: 'Stage', value: notification.stage, short: true });
+    }
+    if (notification.level === 'action') {
+        fields.push({ title: 'Action', value: notification.action, short: true });
+    }
+    if (commit && commit.message) {
+        fields.push({ title: 'Commit message', value: commit.message, short: false });
+    }
+
+    // Name the action that failed and link to its external execution, e.g. the CodeBuild build
+    const failedAction = notification.failedAction;
+    if (failedAction) {
+        const external = failedAction.externalExecution;
+        fields.push({
+            title: 'Failed action',
+            value: `${failedAction.stage} / ${failedAction.action}`,
+            short: false,
+            link: external ? { url: external.url, text: external.summary || external.id || 'details' } : null
+        });
+    }
+
+    if (notification.stageDurations.length > 0) {
+        fields.push({
+            title: STAGE_DURATIONS_TITLE,
+            value: notification.stageDurations
+                .map(({ stage, status, durationMs }) => `${stage}: ${formatDuration(durationMs)} (${status})`)
+                .join('\n'),
+            short: false
+        });
+    }
+
+    const links = [];
+    if (commit && commit.url) {
+        links.push({ text: 'View commit', url: commit.url });
+    }
+    links.push({ text: 'View execution', url: executionUrl });
+    if (notification.buildExecution) {
+        links.push({ text: 'Build logs', url: notification.buildExecution.url });
+    }
+
+    // Failed stages are retried from the execution in the console
+    const failedStage = failedAction ? failedAction.stage : notification.stage;
+    const retry = state === 'FAILED' && failedStage ? { stage: failedStage, url: executionUrl } : null;
+
+    return {
+        pipelineName,
+        executionId,
+        state,
+        level: notification.level,
+        stage: notification.stage,
+        action: notification.action,
+        branch,
+        commit,
+        durationMs: notification.durationMs,
+        title: `${describeSubject(notification)} ${state}`,
+        status: STATUSES[state] || 'info',
+        url: consoleUrl(pipelineName),
+        fields,
+        links,
+        retry,
+        stages: notification.stageDurations,
+        footer: 'LambdaDeploy Pipeline',
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Reports a failure of the handler itself
+function buildErrorMessage(error) {
+    return {
+        title: 'Notification Handler Error',
+        status: 'error',
+        url: null,
+        fields: [
+            { title: 'Error', value: error.message, short: false },
+            { title: 'Timestamp', value: new Date().toISOString(), short: true }
+        ],
+        links: [],
+        retry: null,
+        stages: [],
+        footer: 'LambdaDeploy Pipeline Error Handler',
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    STAGE_DURATIONS_TITLE,
+    buildMessage,
+    buildErrorMessage
+};
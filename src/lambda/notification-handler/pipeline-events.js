@@ -0,0 +1,179 @@
+// CodePipeline emits execution state changes for the pipeline, for each stage and for each action.
+// These helpers turn any of them into one notification and look up what the event itself does not carry:
+// the action that failed, its external execution (for example the CodeBuild build) and the stage durations.
+
+const EVENT_LEVELS = {
+    'CodePipeline Pipeline Execution State Change': 'pipeline',
+    'CodePipeline Stage Execution State Change': 'stage',
+    'CodePipeline Action Execution State Change': 'action'
+};
+
+// Events without a detail-type are treated as pipeline events, as they were before stage and action events
+function parseEvent(event) {
+    const detail = event.detail || {};
+    const level = EVENT_LEVELS[event['detail-type']] || 'pipeline';
+    const notification = {
+        level,
+        pipelineName: detail.pipeline,
+        executionId: detail['execution-id'],
+        state: detail.state,
+        stage: detail.stage || null,
+        action: detail.action || null,
+        externalExecution: null
+    };
+
+    const result = detail['execution-result'];
+    if (level === 'action' && result && result['external-execution-url']) {
+        notification.externalExecution = {
+            id: result['external-execution-id'] || null,
+            url: result['external-execution-url'],
+            summary: result['external-execution-summary'] || null
+        };
+    }
+
+    return notification;
+}
+
+// Every action execution of the pipeline execution, in the order they started
+async function listActionExecutions(codepipeline, pipelineName, executionId) {
+    const executions = [];
+    let nextToken;
+
+    do {
+        const page = await codepipeline.listActionExecutions({
+            pipelineName,
+            filter: { pipelineExecutionId: executionId },
+            nextToken
+        }).promise();
+
+        executions.push(...(page.actionExecutionDetails || []));
+        nextToken = page.nextToken;
+    } while (nextToken);
+
+    return executions.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+const startOf = (execution) => new Date(execution.startTime).getTime();
+const endOf = (execution) => new Date(execution.lastUpdateTime || execution.startTime).getTime();
+
+// [{ stage, status, durationMs }] in the order the stages started. A stage lasts from its first action
+// starting to its last action finishing.
+function stageDurations(actionExecutions) {
+    const stages = new Map();
+
+    for (const execution of actionExecutions) {
+        const start = startOf(execution);
+        const end = endOf(execution);
+        const stage = stages.get(execution.stageName);
+
+        if (!stage) {
+            stages.set(execution.stageName, { stage: execution.stageName, start, end, statuses: [execution.status] });
+        } else {
+            stage.start = Math.min(stage.start, start);
+            stage.end = Math.max(stage.end, end);
+            stage.statuses.push(execution.status);
+        }
+    }
+
+    return [...stages.values()].map(({ stage, start, end, statuses }) => ({
+        stage,
+        status: statuses.find((status) => status !== 'Succeeded') || 'Succeeded',
+        durationMs: end - start
+    }));
+}
+
+// { id, url, summary } of the run an action started elsewhere, e.g. a CodeBuild build; null when there is none
+function externalExecutionOf(execution) {
+    const result = (execution.output && execution.output.executionResult) || {};
+    if (!result.externalExecutionUrl) {
+        return null;
+    }
+    return {
+        id: result.externalExecutionId || null,
+        url: result.externalExecutionUrl,
+        summary: result.externalExecutionSummary || null
+    };
+}
+
+// The first failed action, optionally within one stage and by name; null when nothing failed
+function findFailedAction(actionExecutions, stage, action) {
+    const failed = actionExecutions.find((execution) => execution.status === 'Failed' &&
+        (!stage || execution.stageName === stage) &&
+        (!action || execution.actionName === action));
+    if (!failed) {
+        return null;
+    }
+
+    return {
+        stage: failed.stageName,
+        action: failed.actionName,
+        externalExecution: externalExecutionOf(failed)
+    };
+}
+
+// The newest CodeBuild run of the execution, for its logs; null when there is none
+function findBuildExecution(actionExecutions) {
+    const builds = actionExecutions.filter((execution) => execution.input && execution.input.actionTypeId &&
+        execution.input.actionTypeId.provider === 'CodeBuild' && externalExecutionOf(execution));
+    return builds.length > 0 ? externalExecutionOf(builds[builds.length - 1]) : null;
+}
+
+// From the first action starting to the last one finishing
+function totalDuration(actionExecutions) {
+    if (actionExecutions.length === 0) {
+        return 0;
+    }
+    return Math.max(...actionExecutions.map(endOf)) - Math.min(...actionExecutions.map(startOf));
+}
+
+// Adds the failed action, the newest build and the durations of the execution to a parsed notification
+async function describeExecution(codepipeline, notification) {
+    const actionExecutions = await listActionExecutions(
+        codepipeline, notification.pipelineName, notification.executionId);
+    const described = {
+        ...notification,
+        durationMs: totalDuration(actionExecutions),
+        stageDurations: stageDurations(actionExecutions),
+        buildExecution: findBuildExecution(actionExecutions),
+        failedAction: null
+    };
+
+    if (notification.state === 'FAILED') {
+        described.failedAction = findFailedAction(actionExecutions, notification.stage, notification.action);
+
+        // The event's own execution result is the most direct link to what failed
+        if (described.failedAction && notification.externalExecution) {
+            described.failedAction.externalExecution = notification.externalExecution;
+        } else if (!described.failedAction && notification.level === 'action') {
+            described.failedAction = {
+                stage: notification.stage,
+                action: notification.action,
+                externalExecution: notification.externalExecution
+            };
+        }
+    }
+
+    return described;
+}
+
+// 45s, 3m 4s, 1h 2m
+function formatDuration(durationMs) {
+    const seconds = Math.round(durationMs / 1000);
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    if (seconds < 3600) {
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+module.exports = {
+    parseEvent,
+    listActionExecutions,
+    stageDurations,
+    findFailedAction,
+    findBuildExecution,
+    describeExecution,
+    formatDuration
+};
@@ -0,0 +1,197 @@
+// Notification routing from the "notifications" section of pipeline-config.json:
+//   channels  named channel settings, e.g. { "incidents": { "type": "slack", "url": "SLACK_WEBHOOK_URL",
+//             "channel": "#incidents" } }. A url or secret in capitals names the environment variable holding it.
+//   rules     [{ match, channels, recipients }]. Every rule that matches sends to its channels, and mails its
+//             recipients. match holds pipeline, state, stage, branch, environment or level, each a value or a
+//             list of them; * matches anything. A rule without match matches every notification.
+// The older slack and email sections still work: an enabled slack section is a channel with a rule for its
+// events, and an enabled email section mails everything to its recipients, copying in its cc. Either can limit
+// itself to a level. The email section's from is the sender of every email, also those to rule recipients.
+
+const fs = require('fs');
+const path = require('path');
+const { toList } = require('../shared/utils');
+
+const MATCH_KEYS = ['pipeline', 'state', 'stage', 'branch', 'environment', 'level'];
+
+// Source action settings that hold the branch, by provider
+const BRANCH_SETTINGS = ['Branch', 'BranchName'];
+
+const ENVIRONMENT_REFERENCE = /^[A-Z][A-Z0-9_]*$/;
+
+// NOTIFICATION_CONFIG is a path (relative ones against the function's root) or an s3://bucket/key URI
+async function loadRoutingConfig(s3, location, root = process.env.LAMBDA_TASK_ROOT || process.cwd()) {
+    let text;
+
+    const s3Location = location.match(/^s3:\/\/([^/]+)\/(.+)$/);
+    if (s3Location) {
+        const object = await s3.getObject({ Bucket: s3Location[1], Key: s3Location[2] }).promise();
+        text = object.Body.toString('utf8');
+    } else {
+        text = fs.readFileSync(path.resolve(root, location), 'utf8');
+    }
+
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Notification config ${location} is not valid JSON: ${error.message}`);
+    }
+    return config.notifications || {};
+}
+
+function resolveSetting(value, env, channelName) {
+    if (typeof value !== 'string' || !ENVIRONMENT_REFERENCE.test(value)) {
+        return value;
+    }
+    if (!env[value]) {
+        throw new Error(`Notification channel ${channelName}: ${value} is not set`);
+    }
+    return env[value];
+}
+
+function resolveChannel(name, settings, env) {
+    if (!settings || typeof settings.type !== 'string') {
+        throw new Error(`Notification channel ${name} needs a type`);
+    }
+    const channel = { ...settings, name };
+    for (const key of ['url', 'secret']) {
+        if (settings[key] !== undefined) {
+            channel[key] = resolveSetting(settings[key], env, name);
+        }
+    }
+    return channel;
+}
+
+function legacyMatch(section, match) {
+    return section.level === undefined ? match : { ...match, level: section.level };
+}
+
+// Turns the notifications section into { channels, rules }, with every channel a rule names defined
+function compileRoutes(notifications, env = process.env) {
+    const channels = {};
+    const rules = [];
+
+    for (const [name, settings] of Object.entries(notifications.channels || {})) {
+        channels[name] = resolveChannel(name, settings, env);
+    }
+
+    const slack = notifications.slack;
+    if (slack && slack.enabled) {
+        channels.slack = resolveChannel('slack', {
+            type: 'slack',
+            url: slack.webhookUrl || 'SLACK_WEBHOOK_URL',
+            channel: slack.channel
+        }, env);
+        rules.push({
+            match: legacyMatch(slack, slack.events ? { state: slack.events } : {}),
+            channels: ['slack'],
+            recipients: []
+        });
+    }
+
+    const email = notifications.email || {};
+    if (email.enabled) {
+        channels.email = {
+            type: 'email',
+            name: 'email',
+            from: email.from,
+            to: toList(email.recipients),
+            cc: toList(email.cc)
+        };
+        rules.push({ match: legacyMatch(email, {}), channels: ['email'], recipients: [] });
+    }
+
+    for (const [index, rule] of (notifications.rules || []).entries()) {
+        const match = rule.match || {};
+        const unknown = Object.keys(match).filter((key) => !MATCH_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Notification rule ${index + 1} cannot match on ${unknown.join(', ')}`);
+        }
+        for (const name of toList(rule.channels)) {
+            if (!channels[name]) {
+                throw new Error(`Notification rule ${index + 1} sends to unknown channel ${name}`);
+            }
+        }
+        rules.push({ match, channels: toList(rule.channels), recipients: toList(rule.recipients) });
+    }
+
+    return { channels, rules, sender: email.from };
+}
+
+// Case-insensitive, since the older slack section lists its events in lower case
+function globToRegExp(pattern) {
+    const escaped = String(pattern).split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+function matchesValue(patterns, value) {
+    return toList(patterns).some((pattern) => globToRegExp(pattern).test(value || ''));
+}
+
+// context: { pipeline, state, stage, branch, environment, level }
+function matchesRule(rule, context) {
+    return Object.entries(rule.match).every(([key, patterns]) => matchesValue(patterns, context[key]));
+}
+
+// The channels to notify: each named channel once, and one email channel for the matched recipients that no
+// other email reaches
+function routeNotification(routes, context) {
+    const names = new Set();
+    const recipients = new Set();
+
+    for (const rule of routes.rules.filter((candidate) => matchesRule(candidate, context))) {
+        rule.channels.forEach((name) => names.add(name));
+        rule.recipients.forEach((recipient) => recipients.add(recipient));
+    }
+
+    const channels = [...names].map((name) => routes.channels[name]);
+    for (const channel of channels.filter((candidate) => candidate.type === 'email')) {
+        toList(channel.to).concat(toList(channel.cc)).forEach((address) => recipients.delete(address));
+    }
+    if (recipients.size > 0) {
+        channels.push({ type: 'email', name: 'recipients', from: routes.sender, to: [...recipients] });
+    }
+    return channels;
+}
+
+function userParameters(action) {
+    try {
+        return JSON.parse((action.configuration && action.configuration.UserParameters) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+// { branch, environment } of a pipeline execution. The branch is the one the source action watches. The environment
+// is the ENVIRONMENT pipeline variable, or else the environment a deploy action's UserParameters name, preferring
+// the stage the notification is about. variables are the execution's resolved pipeline variables.
+async function describePipelineContext(codepipeline, pipelineName, stageName, variables) {
+    const { pipeline } = await codepipeline.getPipeline({ name: pipelineName }).promise();
+    const actions = pipeline.stages
+        .flatMap((stage) => stage.actions.map((action) => ({ ...action, stage: stage.name })));
+
+    const source = actions.find((action) => action.actionTypeId.category === 'Source' &&
+        BRANCH_SETTINGS.some((setting) => action.configuration && action.configuration[setting]));
+    const branch = source
+        ? BRANCH_SETTINGS.map((setting) => source.configuration[setting]).find(Boolean)
+        : null;
+
+    const variable = (variables || []).find((candidate) => candidate.name.toUpperCase() === 'ENVIRONMENT');
+    const deployActions = actions
+        .filter((action) => action.actionTypeId.category === 'Invoke' && userParameters(action).environment)
+        .sort((a, b) => (b.stage === stageName) - (a.stage === stageName));
+    const environment = variable
+        ? variable.resolvedValue
+        : (deployActions.length > 0 ? userParameters(deployActions[0]).environment : null);
+
+    return { branch, environment };
+}
+
+module.exports = {
+    loadRoutingConfig,
+    compileRoutes,
+    matchesRule,
+    routeNotification,
+    describePipelineContext
+};
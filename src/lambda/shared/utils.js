@@ -0,0 +1,28 @@
+// Helpers shared by the Lambda functions; every function's package includes this directory
+
+const path = require('path');
+
+// Team plugins (deployment targets, notification channels) ship as modules exporting one plugin or a list of
+// them, each handed to register. Relative paths are resolved against the function's root so they work the
+// same locally and in Lambda.
+function loadModules(modulePaths, register, root = process.env.LAMBDA_TASK_ROOT || process.cwd()) {
+    return (modulePaths || []).flatMap((modulePath) => {
+        const resolved = modulePath.startsWith('.') ? path.resolve(root, modulePath) : modulePath;
+        return [].concat(require(resolved)).map((plugin) => register(plugin));
+    });
+}
+
+// A setting that takes one value or a list of them, as a list
+function toList(value) {
+    return value === undefined || value === null || value === '' ? [] : [].concat(value);
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+module.exports = {
+    loadModules,
+    toList,
+    truncate
+};
@@ -0,0 +1,64 @@
+jest.mock('axios', () => ({
+    get: jest.fn()
+}));
+
+const axios = require('axios');
+const { describeCommit } = require('../src/lambda/notification-handler/commits');
+
+const execution = (revision) => ({ artifactRevisions: [revision] });
+
+describe('Commits', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should read the commit of a CodeCommit or S3 source without looking anything up', async () => {
+        expect(await describeCommit(execution({
+            revisionId: '9f8e7d6c5b4a',
+            revisionSummary: 'Raise the memory limit\n\nThe import ran out of memory'
+        }))).toEqual({
+            sha: '9f8e7d6c5b4a',
+            shortSha: '9f8e7d6',
+            message: 'Raise the memory limit',
+            author: null,
+            url: null
+        });
+        expect(await describeCommit({ artifactRevisions: [] })).toBeNull();
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should look up the author of a GitHub commit', async () => {
+        axios.get.mockResolvedValueOnce({
+            data: { commit: { author: { name: 'Ada Lovelace' } }, author: { login: 'ada' } }
+        });
+
+        const commit = await describeCommit(execution({
+            revisionId: 'abc123def456',
+            revisionSummary: '{"ProviderType":"GitHub","CommitMessage":"Add retries"}',
+            revisionUrl: 'https://github.com/acme/app/commit/abc123def456'
+        }), 'ghp_token');
+
+        expect(commit).toMatchObject({ message: 'Add retries', author: 'Ada Lovelace (@ada)' });
+        expect(axios.get).toHaveBeenCalledWith('https://api.github.com/repos/acme/app/commits/abc123def456', {
+            headers: { Accept: 'application/vnd.github+json', Authorization: 'Bearer ghp_token' },
+            timeout: 3000
+        });
+    });
+
+    test('should leave the author out when GitHub does not answer', async () => {
+        axios.get.mockRejectedValueOnce(new Error('Request failed with status code 403'));
+
+        const commit = await describeCommit(execution({
+            revisionId: 'abc123def456',
+            revisionUrl: 'https://github.com/acme/app/commit/abc123def456'
+        }), undefined);
+
+        expect(commit.author).toBeNull();
+        expect(axios.get.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    });
+});
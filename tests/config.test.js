@@ -0,0 +1,103 @@
+const { loadDeploymentConfig } = require('../src/lambda/deployment-orchestrator/config');
+
+const jobDataWith = (configuration) => ({
+    actionConfiguration: { configuration }
+});
+
+describe('Deployment configuration', () => {
+    test('should apply UserParameters over the environment defaults', () => {
+        const config = loadDeploymentConfig(jobDataWith({
+            FunctionName: 'lambdadeploy-deployment-orchestrator',
+            UserParameters: JSON.stringify({ deploymentType: 'ecs', serviceName: 'web', clusterName: 'prod' })
+        }), { ENVIRONMENT: 'staging' });
+
+        expect(config.deploymentType).toBe('ecs');
+        expect(config.serviceName).toBe('web');
+        expect(config.environment).toBe('staging');
+        expect(config).not.toHaveProperty('FunctionName');
+        expect(config).not.toHaveProperty('UserParameters');
+    });
+
+    test('should use the environment defaults without UserParameters', () => {
+        const config = loadDeploymentConfig(jobDataWith({}), { TARGET_FUNCTION_NAME: 'my-app' });
+
+        expect(config.deploymentType).toBe('lambda');
+        expect(config.targetFunction).toBe('my-app');
+    });
+
+    test('should reject UserParameters that are not a JSON object', () => {
+        expect(() => loadDeploymentConfig(jobDataWith({ UserParameters: '{deploymentType: ecs}' }), {}))
+            .toThrow('UserParameters is not valid JSON');
+        expect(() => loadDeploymentConfig(jobDataWith({ UserParameters: '["ecs"]' }), {}))
+            .toThrow('UserParameters must be a JSON object, got array');
+    });
+
+    test('should report every invalid field', () => {
+        let error;
+        try {
+            loadDeploymentConfig(jobDataWith({
+                UserParameters: JSON.stringify({
+                    deploymentType: 's3',
+                    bucketNmae: 'site',
+                    deleteStale: 'yes',
+                    s3DeployMode: 'mirror'
+                })
+            }), {});
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.failureType).toBe('ConfigurationError');
+        expect(error.fieldErrors).toEqual([
+            's3DeployMode: must be one of archive, site, got "mirror"',
+            'bucketNmae: is not a known setting',
+            'deleteStale: expected boolean, got string',
+            'bucketName: is required for s3 deployments'
+        ]);
+    });
+
+    test('should need a function for invoke smoke tests outside Lambda deployments', () => {
+        const userParameters = (smokeTest) => JSON.stringify({
+            deploymentType: 'ecs',
+            serviceName: 'web',
+            clusterName: 'prod',
+            smokeTests: [smokeTest]
+        });
+
+        expect(() => loadDeploymentConfig(jobDataWith({ UserParameters: userParameters({ type: 'invoke' }) }), {}))
+            .toThrow('smokeTests: entry 0 needs a functionName for ecs deployments');
+        expect(loadDeploymentConfig(jobDataWith({
+            UserParameters: userParameters({ type: 'invoke', functionName: 'web-checks' })
+        }), {}).smokeTests).toHaveLength(1);
+    });
+
+    test('should need a staging bucket per region for multi-region zip deployments', () => {
+        const load = (parameters) => loadDeploymentConfig(jobDataWith({
+            UserParameters: JSON.stringify({ regions: ['us-east-1', 'eu-west-1'], ...parameters })
+        }), {});
+
+        expect(() => load({})).toThrow('stagingBucket: is required to deploy zip packages to eu-west-1');
+        expect(() => load({ stagingBucket: 'lambdadeploy-staging' }))
+            .toThrow('stagingBucket: must contain {region} to stage zip packages in each of regions');
+        expect(load({ stagingBucket: 'lambdadeploy-staging-{region}' }).regions).toHaveLength(2);
+        expect(load({ packageType: 'Image' }).regions).toHaveLength(2);
+        expect(() => loadDeploymentConfig(jobDataWith({ UserParameters: JSON.stringify({ region: 'eu-west-1' }) }), {}))
+            .toThrow('stagingBucket: is required to deploy zip packages to eu-west-1');
+    });
+
+    test('should need a staging bucket for zip deployments into another account', () => {
+        const roleArn = 'arn:aws:iam::222222222222:role/lambdadeploy-deployer';
+        const load = (parameters) => loadDeploymentConfig(jobDataWith({
+            UserParameters: JSON.stringify({ roleArn, ...parameters })
+        }), {});
+
+        expect(() => load({})).toThrow('stagingBucket: is required to deploy zip packages with roleArn');
+        expect(load({ stagingBucket: 'staging-222222222222' }).stagingBucket).toBe('staging-222222222222');
+        expect(load({ packageType: 'Image' }).roleArn).toBe(roleArn);
+    });
+
+    test('should reject unknown deployment types', () => {
+        expect(() => loadDeploymentConfig(jobDataWith({}), { DEPLOYMENT_TYPE: 'ec2' }))
+            .toThrow('deploymentType: must be one of lambda, ecs, s3, got "ec2"');
+    });
+});
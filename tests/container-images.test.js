@@ -0,0 +1,27 @@
+const { readImageDetail } = require('../src/lambda/deployment-orchestrator/container-images');
+
+const digest = `sha256:${'c'.repeat(64)}`;
+const repository = '123456789012.dkr.ecr.us-east-1.amazonaws.com/orders';
+
+const createArtifact = (detail) => createMockArtifact({ 'imageDetail.json': JSON.stringify(detail) });
+
+describe('Container image detail', () => {
+    test('should pin a tagged image to its digest', async () => {
+        const image = await readImageDetail(createArtifact({ ImageURI: `${repository}:1.4.0`, ImageDigest: digest }));
+
+        expect(image).toEqual({ imageUri: `${repository}@${digest}`, imageDigest: digest });
+    });
+
+    test('should take the digest from the image URI', async () => {
+        const image = await readImageDetail(createArtifact({ ImageURI: `${repository}@${digest}` }));
+
+        expect(image.imageDigest).toBe(digest);
+    });
+
+    test('should reject images without a digest', async () => {
+        await expect(readImageDetail(createArtifact({ ImageURI: `${repository}:latest` })))
+            .rejects.toThrow('imageDetail.json must have an ImageDigest');
+        await expect(readImageDetail(createMockArtifact({}), 'build/image.json'))
+            .rejects.toThrow('build/image.json not found in the build artifact');
+    });
+});
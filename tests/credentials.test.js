@@ -0,0 +1,70 @@
+const {
+    checkRoleArn,
+    sessionNameFor,
+    assumeRoleChain
+} = require('../src/lambda/deployment-orchestrator/credentials');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+// Each STS client hands out credentials named after the role, so the chain can be followed
+function createStsFactory() {
+    const calls = [];
+    const createSts = jest.fn(() => ({
+        assumeRole: jest.fn((params) => {
+            calls.push(params);
+            if (params.RoleArn.endsWith('/missing')) {
+                return { promise: () => Promise.reject(new Error('not authorized to perform sts:AssumeRole')) };
+            }
+            return awsResponse({
+                Credentials: {
+                    AccessKeyId: params.RoleArn.split('/').pop(),
+                    SecretAccessKey: 'secret',
+                    SessionToken: 'token'
+                }
+            });
+        })
+    }));
+    return { createSts, calls };
+}
+
+describe('Assumed role credentials', () => {
+    const hub = 'arn:aws:iam::111111111111:role/hub';
+    const deployer = 'arn:aws:iam::222222222222:role/deployer';
+
+    test('should assume each role with the credentials of the one before', async () => {
+        const { createSts, calls } = createStsFactory();
+
+        const credentials = await assumeRoleChain(createSts, [hub, deployer], {
+            externalId: 'prod',
+            sessionName: 'lambdadeploy-job-1'
+        });
+
+        expect(credentials).toEqual({ accessKeyId: 'deployer', secretAccessKey: 'secret', sessionToken: 'token' });
+        expect(createSts.mock.calls).toEqual([
+            [null],
+            [{ accessKeyId: 'hub', secretAccessKey: 'secret', sessionToken: 'token' }]
+        ]);
+        expect(calls).toEqual([
+            { RoleArn: hub, RoleSessionName: 'lambdadeploy-job-1' },
+            { RoleArn: deployer, RoleSessionName: 'lambdadeploy-job-1', ExternalId: 'prod' }
+        ]);
+    });
+
+    test('should name the role that could not be assumed', async () => {
+        const { createSts } = createStsFactory();
+
+        await expect(assumeRoleChain(createSts, [hub, 'arn:aws:iam::222222222222:role/missing'], { sessionName: 's' }))
+            .rejects.toThrow('Could not assume arn:aws:iam::222222222222:role/missing: not authorized');
+    });
+
+    test('should validate role ARNs and session names', () => {
+        expect(checkRoleArn(hub)).toBeNull();
+        expect(checkRoleArn([hub, deployer])).toBeNull();
+        expect(checkRoleArn([])).toBe('must name at least one role');
+        expect(checkRoleArn([hub, 'deployer'])).toBe('"deployer" is not an IAM role ARN');
+
+        expect(sessionNameFor('1a2b3c4d-5e6f-7a8b-9c0d-1e2f3a4b5c6d'))
+            .toBe('lambdadeploy-1a2b3c4d-5e6f-7a8b-9c0d-1e2f3a4b5c6d');
+        expect(sessionNameFor('job/with spaces')).toBe('lambdadeploy-job-with-spaces');
+    });
+});
@@ -0,0 +1,143 @@
+const { deployEcsService, planEcsService } = require('../src/lambda/deployment-orchestrator/ecs-deployment');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+const createArtifact = (files) => createMockArtifact(Object.fromEntries(
+    Object.entries(files).map(([name, contents]) => [name, JSON.stringify(contents)])
+));
+
+const serviceDescription = (rolloutState, deploymentCount = 1) => ({
+    services: [{
+        taskDefinition: 'arn:aws:ecs:us-east-1:123456789012:task-definition/web:4',
+        desiredCount: 2,
+        runningCount: 2,
+        deployments: [
+            { status: 'PRIMARY', rolloutState },
+            { status: 'ACTIVE', rolloutState: 'COMPLETED' }
+        ].slice(0, deploymentCount)
+    }]
+});
+
+const createEcsClient = () => ({
+    describeServices: jest.fn(() => awsResponse(serviceDescription('COMPLETED'))),
+    describeTaskDefinition: jest.fn(() => awsResponse({
+        taskDefinition: {
+            taskDefinitionArn: 'arn:aws:ecs:us-east-1:123456789012:task-definition/web:4',
+            revision: 4,
+            status: 'ACTIVE',
+            family: 'web',
+            containerDefinitions: [
+                { name: 'web', image: 'web:old', essential: true },
+                { name: 'sidecar', image: 'envoy:1' }
+            ]
+        }
+    })),
+    registerTaskDefinition: jest.fn(() => awsResponse({
+        taskDefinition: { taskDefinitionArn: 'arn:aws:ecs:us-east-1:123456789012:task-definition/web:5' }
+    })),
+    updateService: jest.fn(() => awsResponse({
+        service: { serviceArn: 'arn:aws:ecs:us-east-1:123456789012:service/default/web' }
+    })),
+    listTasks: jest.fn(() => awsResponse({ taskArns: ['task-1', 'task-2'] })),
+    describeTasks: jest.fn(() => awsResponse({
+        tasks: [
+            {
+                taskDefinitionArn: 'arn:aws:ecs:us-east-1:123456789012:task-definition/web:5',
+                stoppedReason: 'Essential container in task exited',
+                containers: [{ name: 'web', reason: 'CannotPullContainerError' }]
+            },
+            {
+                taskDefinitionArn: 'arn:aws:ecs:us-east-1:123456789012:task-definition/web:4',
+                stoppedReason: 'Scaling activity initiated by deployment'
+            }
+        ]
+    }))
+});
+
+describe('ECS deployment', () => {
+    test('should register a new revision with the images from imagedefinitions.json', async () => {
+        const ecs = createEcsClient();
+        const imageUri = '123456789012.dkr.ecr.us-east-1.amazonaws.com/web:abc123';
+        const artifact = createArtifact({
+            'imagedefinitions.json': [{ name: 'web', imageUri }]
+        });
+
+        const result = await deployEcsService(ecs, artifact, { clusterName: 'prod', serviceName: 'web' });
+
+        expect(ecs.registerTaskDefinition).toHaveBeenCalledWith({
+            family: 'web',
+            containerDefinitions: [
+                { name: 'web', image: imageUri, essential: true },
+                { name: 'sidecar', image: 'envoy:1' }
+            ]
+        });
+        expect(ecs.updateService).toHaveBeenCalledWith({
+            cluster: 'prod',
+            service: 'web',
+            taskDefinition: 'arn:aws:ecs:us-east-1:123456789012:task-definition/web:5'
+        });
+        expect(ecs.describeServices).toHaveBeenLastCalledWith({ cluster: 'prod', services: ['web'] });
+        expect(result.previousTaskDefinition).toBe('arn:aws:ecs:us-east-1:123456789012:task-definition/web:4');
+    });
+
+    test('should report stopped task reasons when the service does not stabilize', async () => {
+        const ecs = createEcsClient();
+        ecs.describeServices
+            .mockReturnValueOnce(awsResponse(serviceDescription('COMPLETED')))
+            .mockReturnValueOnce(awsResponse(serviceDescription('FAILED', 2)));
+        const artifact = createArtifact({
+            'imagedefinitions.json': [{ name: 'web', imageUri: 'web:broken' }]
+        });
+
+        await expect(deployEcsService(ecs, artifact, { serviceName: 'web' })).rejects.toThrow(
+            'Service web did not stabilize on arn:aws:ecs:us-east-1:123456789012:task-definition/web:5: ' +
+            'Essential container in task exited; web: CannotPullContainerError'
+        );
+    });
+
+    test('should continue waiting for stability in a later invocation', async () => {
+        const ecs = createEcsClient();
+        ecs.describeServices
+            .mockReturnValueOnce(awsResponse(serviceDescription('COMPLETED')))
+            .mockReturnValueOnce(awsResponse(serviceDescription('IN_PROGRESS', 2)));
+        const artifact = createArtifact({
+            'imagedefinitions.json': [{ name: 'web', imageUri: 'web:new' }]
+        });
+        const checkpoint = { state: {}, timeRemaining: () => 0 };
+
+        const first = await deployEcsService(ecs, artifact, { serviceName: 'web' }, checkpoint);
+        expect(first.inProgress).toBe(true);
+        expect(checkpoint.state.taskDefinitionArn).toBe('arn:aws:ecs:us-east-1:123456789012:task-definition/web:5');
+
+        const resumed = await deployEcsService(ecs, artifact, { serviceName: 'web' }, checkpoint);
+        expect(resumed.taskDefinition).toBe('arn:aws:ecs:us-east-1:123456789012:task-definition/web:5');
+        expect(ecs.registerTaskDefinition).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject image definitions for containers the task does not have', async () => {
+        const artifact = createArtifact({
+            'imagedefinitions.json': [{ name: 'worker', imageUri: 'worker:1' }]
+        });
+
+        await expect(deployEcsService(createEcsClient(), artifact, { serviceName: 'web' }))
+            .rejects.toThrow('Task definition has no container named worker');
+    });
+
+    test('should plan the image changes without registering anything', async () => {
+        const ecs = createEcsClient();
+        const artifact = createArtifact({
+            'imagedefinitions.json': [{ name: 'web', imageUri: 'web:new' }, { name: 'sidecar', imageUri: 'envoy:1' }]
+        });
+
+        const plan = await planEcsService(ecs, artifact, { serviceName: 'web' });
+
+        expect(plan).toEqual({
+            cluster: 'default',
+            service: 'web',
+            taskDefinition: 'arn:aws:ecs:us-east-1:123456789012:task-definition/web:4',
+            images: [{ name: 'web', before: 'web:old', after: 'web:new' }]
+        });
+        expect(ecs.registerTaskDefinition).not.toHaveBeenCalled();
+        expect(ecs.updateService).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,71 @@
+const { buildMessage, buildErrorMessage } = require('../src/lambda/notification-handler/message');
+const templates = require('../src/lambda/notification-handler/email-templates');
+
+const notification = (overrides) => ({
+    level: 'pipeline',
+    pipelineName: 'app',
+    executionId: 'exec-1',
+    state: 'FAILED',
+    stage: null,
+    action: null,
+    durationMs: 196000,
+    stageDurations: [
+        { stage: 'Source', status: 'Succeeded', durationMs: 12000 },
+        { stage: 'Build', status: 'Failed', durationMs: 184000 }
+    ],
+    buildExecution: { id: 'build:1', url: 'https://build/1', summary: null },
+    failedAction: { stage: 'Build', action: 'BuildAction', externalExecution: null },
+    ...overrides
+});
+
+const commit = {
+    sha: 'abc123def456',
+    shortSha: 'abc123d',
+    message: 'Escape <b>tags</b> & "quotes"',
+    author: 'Ada Lovelace (@ada)',
+    url: 'https://github.com/acme/app/commit/abc123def456'
+};
+
+describe('Email templates', () => {
+    test('should summarise the stages of a failure in a table', () => {
+        const message = buildMessage(notification(), { commit, branch: 'main' });
+        const html = templates.html(message);
+
+        expect(templates.subject(message)).toBe('LambdaDeploy: app - Pipeline FAILED');
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('<h2 style="margin:24px 0 8px;font-size:16px;">Stages</h2>');
+        expect(html).toMatch(/<td[^>]*>Build<\/td><td[^>]*font-weight:bold;">Failed<\/td><td[^>]*>3m 4s<\/td>/);
+        expect(html).not.toContain('Stage durations');
+        expect(html).toContain('Escape &lt;b&gt;tags&lt;/b&gt; &amp; &quot;quotes&quot;');
+        expect(html).toContain(`<a href="${commit.url}" style="color:#0b57d0;">abc123d</a>`);
+        expect(html).toContain('>Build logs</a>');
+    });
+
+    test('should write a plain-text alternative', () => {
+        const text = templates.text(buildMessage(notification(), { commit, branch: 'main' }));
+
+        expect(text).toContain('Pipeline FAILED\n===============\n');
+        expect(text).toContain(`Commit: abc123d <${commit.url}>`);
+        expect(text).toContain([
+            'Stages',
+            'Stage   Status     Duration',
+            'Source  Succeeded  12s',
+            'Build   Failed     3m 4s'
+        ].join('\n'));
+        expect(text).toContain('View execution: https://console.aws.amazon.com/codesuite/codepipeline/pipelines/app/');
+    });
+
+    test('should keep the stage durations as a field when nothing failed', () => {
+        const message = buildMessage(notification({ state: 'SUCCEEDED', failedAction: null }), {});
+
+        expect(templates.html(message)).not.toContain('>Stages</h2>');
+        expect(templates.text(message)).toContain('Stage durations:\nSource: 12s (Succeeded)\nBuild: 3m 4s (Failed)');
+    });
+
+    test('should render errors of the handler itself', () => {
+        const message = buildErrorMessage(new Error('Rate exceeded'));
+
+        expect(templates.subject(message)).toBe('LambdaDeploy: Notification Handler Error');
+        expect(templates.text(message)).toContain('Error: Rate exceeded');
+    });
+});
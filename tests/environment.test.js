@@ -0,0 +1,51 @@
+const { resolveEnvironmentVariables } = require('../src/lambda/deployment-orchestrator/environment');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+const createClients = () => ({
+    ssm: {
+        getParameter: jest.fn(() => awsResponse({ Parameter: { Value: 'postgres://db.internal/app' } }))
+    },
+    secretsManager: {
+        getSecretValue: jest.fn(() => awsResponse({
+            SecretString: JSON.stringify({ username: 'app', password: 's3cret' })
+        }))
+    }
+});
+
+describe('Environment variable references', () => {
+    test('should resolve SSM parameters and secrets and keep plain values', async () => {
+        const clients = createClients();
+
+        const resolved = await resolveEnvironmentVariables(clients, {
+            DATABASE_URL: 'ssm:/lambdadeploy/database-url',
+            DB_CREDENTIALS: 'secretsmanager:lambdadeploy/db',
+            DB_PASSWORD: 'secretsmanager:lambdadeploy/db#password',
+            LOG_LEVEL: 'info'
+        });
+
+        expect(resolved).toEqual({
+            DATABASE_URL: 'postgres://db.internal/app',
+            DB_CREDENTIALS: JSON.stringify({ username: 'app', password: 's3cret' }),
+            DB_PASSWORD: 's3cret',
+            LOG_LEVEL: 'info'
+        });
+        expect(clients.ssm.getParameter).toHaveBeenCalledWith({
+            Name: '/lambdadeploy/database-url',
+            WithDecryption: true
+        });
+    });
+
+    test('should fail on a missing key in a JSON secret', async () => {
+        await expect(resolveEnvironmentVariables(createClients(), { TOKEN: 'secretsmanager:lambdadeploy/db#token' }))
+            .rejects.toThrow('Secret lambdadeploy/db has no key token');
+    });
+
+    test('should name the parameter that could not be resolved', async () => {
+        const clients = createClients();
+        clients.ssm.getParameter.mockReturnValue({ promise: () => Promise.reject(new Error('ParameterNotFound')) });
+
+        await expect(resolveEnvironmentVariables(clients, { DATABASE_URL: 'ssm:/missing' }))
+            .rejects.toThrow('Could not resolve SSM parameter /missing: ParameterNotFound');
+    });
+});
@@ -0,0 +1,51 @@
+const {
+    checkFunctionSettings,
+    diffFunctionSettings,
+    settingsParameters
+} = require('../src/lambda/deployment-orchestrator/function-configuration');
+
+const currentConfiguration = {
+    MemorySize: 256,
+    Timeout: 10,
+    Handler: 'index.handler',
+    Layers: [{ Arn: 'arn:aws:lambda:us-east-1:123456789012:layer:shared:3' }]
+};
+
+describe('Function configuration', () => {
+    test('should only report settings that differ from the function', () => {
+        const changes = diffFunctionSettings(currentConfiguration, {
+            memorySize: 256,
+            timeout: 30,
+            layers: ['arn:aws:lambda:us-east-1:123456789012:layer:shared:4'],
+            reservedConcurrency: null
+        }, null);
+
+        expect(changes).toEqual([
+            { setting: 'timeout', from: 10, to: 30 },
+            {
+                setting: 'layers',
+                from: ['arn:aws:lambda:us-east-1:123456789012:layer:shared:3'],
+                to: ['arn:aws:lambda:us-east-1:123456789012:layer:shared:4']
+            }
+        ]);
+        expect(settingsParameters(changes)).toEqual({
+            Timeout: 30,
+            Layers: ['arn:aws:lambda:us-east-1:123456789012:layer:shared:4']
+        });
+        expect(settingsParameters(changes, { withCode: true })).toEqual({});
+    });
+
+    test('should remove a reserved concurrency that is declared as null', () => {
+        expect(diffFunctionSettings(currentConfiguration, { reservedConcurrency: null }, 20))
+            .toEqual([{ setting: 'reservedConcurrency', from: 20, to: null }]);
+    });
+
+    test('should describe invalid manifest settings', () => {
+        expect(checkFunctionSettings({ memorySize: 64, architecture: 'sparc', layers: 'shared', handler: 'a.b' }))
+            .toEqual([
+                'memorySize must be 128 to 10240 MB',
+                'layers must be of type array',
+                'architecture must be one of x86_64, arm64'
+            ]);
+    });
+});
@@ -0,0 +1,102 @@
+const {
+    recordsFromResult,
+    recordDeployments,
+    listDeployments,
+    findDeployedAt
+} = require('../src/lambda/deployment-orchestrator/history');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+const record = (target, finishedAt, outcome = 'SUCCEEDED') => ({ target, finishedAt, outcome });
+
+describe('Deployment history', () => {
+    test('should record one item per manifest target', async () => {
+        const db = { put: jest.fn(() => awsResponse({})) };
+        const records = recordsFromResult({
+            type: 'manifest',
+            targets: [
+                {
+                    name: 'app',
+                    functionName: 'app-fn',
+                    status: 'SUCCEEDED',
+                    result: { version: '7', previousVersion: '6' }
+                },
+                { name: 'worker', functionName: 'worker-fn', status: 'SKIPPED' }
+            ]
+        }, ['lambda:app-fn', 'lambda:worker-fn']);
+
+        await recordDeployments(db, 'history', {
+            environment: 'production',
+            jobId: 'job-1',
+            commitSha: 'abc123',
+            artifactHash: 'etag',
+            startedAt: '2024-05-01T14:00:00.000Z'
+        }, records);
+
+        expect(db.put).toHaveBeenCalledTimes(2);
+        expect(db.put.mock.calls[0][0].Item).toEqual(expect.objectContaining({
+            pk: 'production#lambda:app-fn',
+            sk: '2024-05-01T14:00:00.000Z#job-1',
+            previousVersion: '6',
+            newVersion: '7',
+            commitSha: 'abc123',
+            artifactHash: 'etag',
+            outcome: 'SUCCEEDED'
+        }));
+        expect(db.put.mock.calls[1][0].Item).toEqual(expect.objectContaining({
+            pk: 'production#lambda:worker-fn',
+            newVersion: null,
+            outcome: 'SKIPPED'
+        }));
+    });
+
+    test('should list the deployments of a target newest first', async () => {
+        const db = { query: jest.fn(() => awsResponse({ Items: [record('lambda:app', 't2')] })) };
+
+        const items = await listDeployments(db, 'history', {
+            target: 'lambda:app',
+            environment: 'production',
+            from: '2024-05-01T00:00:00.000Z'
+        });
+
+        expect(items).toHaveLength(1);
+        expect(db.query).toHaveBeenCalledWith(expect.objectContaining({
+            ExpressionAttributeValues: {
+                ':pk': 'production#lambda:app',
+                ':from': '2024-05-01T00:00:00.000Z',
+                ':to': '9999~'
+            },
+            ScanIndexForward: false
+        }));
+    });
+
+    test('should find the last successful deployment of each target at a point in time', async () => {
+        const db = {
+            query: jest.fn()
+                .mockReturnValueOnce(awsResponse({
+                    Items: [
+                        record('lambda:app', '2024-05-01T13:50:00.000Z', 'FAILED'),
+                        record('lambda:app', '2024-05-01T13:00:00.000Z')
+                    ],
+                    LastEvaluatedKey: { pk: 'next' }
+                }))
+                .mockReturnValueOnce(awsResponse({
+                    Items: [
+                        record('ecs:default/web', '2024-05-01T12:00:00.000Z'),
+                        record('lambda:app', '2024-05-01T11:00:00.000Z')
+                    ]
+                }))
+        };
+
+        const deployed = await findDeployedAt(db, 'history', {
+            environment: 'production',
+            at: '2024-05-01T14:00:00.000Z'
+        });
+
+        expect(deployed.map((item) => [item.target, item.finishedAt])).toEqual([
+            ['lambda:app', '2024-05-01T13:00:00.000Z'],
+            ['ecs:default/web', '2024-05-01T12:00:00.000Z']
+        ]);
+        expect(db.query.mock.calls[1][0].ExclusiveStartKey).toEqual({ pk: 'next' });
+    });
+});
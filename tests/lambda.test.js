@@ -1,21 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { handler: notificationHandler } = require('../src/lambda/notification-handler');
 const { handler: deploymentOrchestrator } = require('../src/lambda/deployment-orchestrator');
 const { handler: sampleApp } = require('../src/app');
+const { artifactKey } = require('../src/lambda/deployment-orchestrator/promotion');
+
+// Build artifacts are zip files in S3; tests may swap in other contents before a deployment
+const mockDefaultArtifactFiles = { 'index.js': 'exports.handler = async () => ({ statusCode: 200 });' };
+let mockArtifactFiles = mockDefaultArtifactFiles;
+const mockUploads = {};
+const mockSavedObjects = {};
+
+function mockGetObject(params) {
+    if (mockSavedObjects[params.Key]) {
+        const body = Buffer.from(mockSavedObjects[params.Key]);
+        return {
+            promise: jest.fn().mockResolvedValue(params.Range ? readMockRange(body, params.Range) : { Body: body }),
+            createReadStream: () => require('stream').Readable.from([readMockRange(body, params.Range).Body])
+        };
+    }
+    return {
+        promise: jest.fn(async () => readMockRange(createMockZip(mockArtifactFiles), params.Range)),
+        createReadStream: () => require('stream').Readable.from([
+            readMockRange(createMockZip(mockArtifactFiles), params.Range).Body
+        ])
+    };
+}
+
+function mockPutObject(params) {
+    mockSavedObjects[params.Key] = params.Body;
+    return { promise: jest.fn().mockResolvedValue({}) };
+}
+
+// Drains streamed bodies so tests can check what was uploaded
+function mockUpload(params) {
+    return {
+        promise: jest.fn(async () => {
+            const chunks = [];
+            for await (const chunk of params.Body) {
+                chunks.push(chunk);
+            }
+            mockUploads[`${params.Bucket}/${params.Key}`] = Buffer.concat(chunks).toString();
+            return { Bucket: params.Bucket, Key: params.Key };
+        })
+    };
+}
 
 // Mock AWS SDK
 jest.mock('aws-sdk', () => ({
     CodePipeline: jest.fn(() => ({
         getPipelineExecution: jest.fn().mockReturnValue({
             promise: jest.fn().mockResolvedValue({
-                pipelineExecutionId: 'test-execution-id',
-                trigger: { triggerType: 'Webhook' }
+                pipelineExecution: {
+                    pipelineExecutionId: 'test-execution-id',
+                    trigger: { triggerType: 'Webhook' },
+                    artifactRevisions: [{ revisionId: 'abc123def' }]
+                }
+            })
+        }),
+        getPipeline: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({
+                pipeline: {
+                    stages: [
+                        {
+                            name: 'Source',
+                            actions: [{
+                                name: 'SourceAction',
+                                actionTypeId: { category: 'Source' },
+                                configuration: { Branch: 'main' }
+                            }]
+                        },
+                        {
+                            name: 'Deploy',
+                            actions: [{
+                                name: 'DeployAction',
+                                actionTypeId: { category: 'Invoke' },
+                                configuration: { UserParameters: '{"environment":"production"}' }
+                            }]
+                        }
+                    ]
+                }
             })
         }),
+        listActionExecutions: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({ actionExecutionDetails: [] })
+        }),
         putJobSuccessResult: jest.fn().mockReturnValue({
             promise: jest.fn().mockResolvedValue({})
         }),
         putJobFailureResult: jest.fn().mockReturnValue({
             promise: jest.fn().mockResolvedValue({})
+        }),
+        getJobDetails: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({
+                jobDetails: {
+                    data: {
+                        pipelineContext: { pipelineName: 'test-pipeline', pipelineExecutionId: 'test-execution-id' }
+                    }
+                }
+            })
         })
     })),
     Lambda: jest.fn(() => ({
@@ -31,20 +115,99 @@ jest.mock('aws-sdk', () => ({
         }),
         updateFunctionConfiguration: jest.fn().mockReturnValue({
             promise: jest.fn().mockResolvedValue({})
+        }),
+        getFunctionConfiguration: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({
+                Environment: {
+                    Variables: { DATABASE_URL: 'postgres://db.internal/app', NODE_ENV: 'development' }
+                }
+            })
+        }),
+        publishVersion: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({
+                Version: '2',
+                LastModified: '2023-01-01T00:00:00.000Z'
+            })
+        }),
+        getFunctionConcurrency: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({})
+        }),
+        putFunctionConcurrency: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({})
+        }),
+        getFunction: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({
+                Code: { ResolvedImageUri: `123456789012.dkr.ecr.us-east-1.amazonaws.com/app@sha256:${'a'.repeat(64)}` }
+            })
+        }),
+        getAlias: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({ FunctionVersion: '1' })
+        }),
+        updateAlias: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({})
+        }),
+        createAlias: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({})
+        }),
+        invoke: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({
+                StatusCode: 200,
+                Payload: JSON.stringify({ statusCode: 200 })
+            })
+        })
+    })),
+    SSM: jest.fn(() => ({
+        getParameter: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({ Parameter: { Value: 'resolved-from-ssm' } })
+        })
+    })),
+    SecretsManager: jest.fn(() => ({
+        getSecretValue: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({ SecretString: JSON.stringify({ apiKey: 'resolved-secret' }) })
+        })
+    })),
+    CloudWatch: jest.fn(() => ({
+        describeAlarms: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({ MetricAlarms: [] })
         })
     })),
     S3: jest.fn(() => ({
-        getObject: jest.fn().mockReturnValue({
-            promise: jest.fn().mockResolvedValue({
-                Body: Buffer.from('test-artifact-data'),
-                Metadata: {},
-                ContentType: 'application/zip'
-            })
+        getObject: jest.fn(mockGetObject),
+        upload: jest.fn(mockUpload),
+        copyObject: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({ CopyObjectResult: { ETag: '"copied"' } })
         }),
-        putObject: jest.fn().mockReturnValue({
+        putObject: jest.fn(mockPutObject),
+        deleteObject: jest.fn().mockReturnValue({
             promise: jest.fn().mockResolvedValue({})
+        }),
+        headObject: jest.fn().mockReturnValue({
+            promise: jest.fn().mockResolvedValue({ ETag: '"artifact-etag"' })
         })
     })),
+    ECS: jest.fn(() => ({})),
+    CloudFront: jest.fn(() => ({})),
+    STS: jest.fn(() => ({
+        assumeRole: jest.fn((params) => ({
+            promise: jest.fn().mockResolvedValue({
+                Credentials: {
+                    AccessKeyId: `key-for-${params.RoleArn.split('/').pop()}`,
+                    SecretAccessKey: 'secret',
+                    SessionToken: 'token'
+                }
+            })
+        }))
+    })),
+    DynamoDB: {
+        DocumentClient: jest.fn(() => ({
+            put: jest.fn().mockReturnValue({ promise: jest.fn().mockResolvedValue({}) }),
+            get: jest.fn().mockReturnValue({ promise: jest.fn().mockResolvedValue({}) }),
+            update: jest.fn().mockReturnValue({ promise: jest.fn().mockResolvedValue({}) }),
+            delete: jest.fn().mockReturnValue({ promise: jest.fn().mockResolvedValue({}) }),
+            transactWrite: jest.fn().mockReturnValue({ promise: jest.fn().mockResolvedValue({}) }),
+            query: jest.fn().mockReturnValue({ promise: jest.fn().mockResolvedValue({ Items: [] }) })
+        }))
+    },
     SES: jest.fn(() => ({
         sendEmail: jest.fn().mockReturnValue({
             promise: jest.fn().mockResolvedValue({})
@@ -54,9 +217,23 @@ jest.mock('aws-sdk', () => ({
 
 // Mock axios
 jest.mock('axios', () => ({
-    post: jest.fn().mockResolvedValue({ status: 200 })
+    post: jest.fn().mockResolvedValue({ status: 200 }),
+    get: jest.fn().mockResolvedValue({
+        data: { commit: { author: { name: 'Ada Lovelace' } }, author: { login: 'ada' } }
+    })
 }));
 
+// Clients created by the notification handler and the deployment orchestrator at module load
+const AWS = require('aws-sdk');
+const notificationPipeline = AWS.CodePipeline.mock.results[0].value;
+const orchestratorPipeline = AWS.CodePipeline.mock.results[1].value;
+const orchestratorLambda = AWS.Lambda.mock.results[0].value;
+const orchestratorS3 = AWS.S3.mock.results[0].value;
+const orchestratorCloudWatch = AWS.CloudWatch.mock.results[0].value;
+const orchestratorDynamoDB = AWS.DynamoDB.DocumentClient.mock.results[0].value;
+
+const conditionFailure = (code) => Object.assign(new Error('The conditional request failed'), { code });
+
 describe('Notification Handler', () => {
     beforeEach(() => {
         process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/test';
@@ -108,12 +285,209 @@ describe('Notification Handler', () => {
 
         expect(result.statusCode).toBe(200);
     });
+
+    test('should name the failed action, link its build and report stage durations', async () => {
+        const axios = require('axios');
+        notificationPipeline.getPipelineExecution.mockReturnValueOnce({
+            promise: () => Promise.resolve({
+                pipelineExecution: {
+                    pipelineExecutionId: 'test-execution-id',
+                    artifactRevisions: [{
+                        revisionId: 'abc123def',
+                        revisionSummary: JSON.stringify({
+                            ProviderType: 'GitHub',
+                            CommitMessage: 'Make the build green\n\nDetails'
+                        }),
+                        revisionUrl: 'https://github.com/acme/app/commit/abc123def'
+                    }]
+                }
+            })
+        });
+        notificationPipeline.listActionExecutions.mockReturnValueOnce({
+            promise: () => Promise.resolve({
+                actionExecutionDetails: [
+                    {
+                        stageName: 'Source',
+                        actionName: 'SourceAction',
+                        status: 'Succeeded',
+                        startTime: '2026-01-01T00:00:00Z',
+                        lastUpdateTime: '2026-01-01T00:00:12Z'
+                    },
+                    {
+                        stageName: 'Build',
+                        actionName: 'BuildAction',
+                        status: 'Failed',
+                        startTime: '2026-01-01T00:00:15Z',
+                        lastUpdateTime: '2026-01-01T00:03:19Z'
+                    }
+                ]
+            })
+        });
+
+        const result = await notificationHandler({
+            'detail-type': 'CodePipeline Action Execution State Change',
+            detail: {
+                pipeline: 'test-pipeline',
+                'execution-id': 'test-execution-id',
+                stage: 'Build',
+                action: 'BuildAction',
+                state: 'FAILED',
+                'execution-result': {
+                    'external-execution-id': 'build:1',
+                    'external-execution-url': 'https://console.aws.amazon.com/codebuild/build-1',
+                    'external-execution-summary': 'Build failed'
+                }
+            }
+        });
+
+        expect(JSON.parse(result.body)).toMatchObject({ level: 'action', stage: 'Build', action: 'BuildAction' });
+        const { text, blocks } = axios.post.mock.calls[0][1];
+        const texts = blocks.flatMap((block) => (block.fields || []).concat(block.text || []))
+            .map((element) => element.text);
+        expect(text).toBe('❌ Action BuildAction in Build FAILED');
+        expect(texts).toEqual(expect.arrayContaining([
+            '*Stage*\nBuild',
+            '*Action*\nBuildAction',
+            '*Branch*\nmain',
+            '*Commit*\n<https://github.com/acme/app/commit/abc123def|abc123d>',
+            '*Author*\nAda Lovelace (@ada)',
+            '*Duration*\n3m 19s',
+            '*Commit message*\nMake the build green',
+            '*Failed action*\nBuild / BuildAction (<https://console.aws.amazon.com/codebuild/build-1|Build failed>)',
+            '*Stage durations*\nSource: 12s (Succeeded)\nBuild: 3m 4s (Failed)'
+        ]));
+        expect(axios.get).toHaveBeenCalledWith('https://api.github.com/repos/acme/app/commits/abc123def',
+            expect.objectContaining({ timeout: 3000 }));
+        expect(blocks.find((block) => block.type === 'actions').elements.map((element) => element.text.text))
+            .toEqual(['View commit', 'View execution', 'Retry stage']);
+    });
+
+    test('should send the notification to every configured channel', async () => {
+        const axios = require('axios');
+        process.env.TEAMS_WEBHOOK_URL = 'https://example.webhook.office.com/test';
+        process.env.NOTIFICATION_CHANNELS = JSON.stringify([
+            { type: 'discord', url: 'https://discord.com/api/webhooks/1' }
+        ]);
+
+        try {
+            const result = await notificationHandler({
+                detail: { pipeline: 'test-pipeline', 'execution-id': 'test-execution-id', state: 'SUCCEEDED' }
+            });
+
+            expect(result.statusCode).toBe(200);
+            expect(axios.post.mock.calls.map(([url]) => url)).toEqual([
+                'https://hooks.slack.com/test',
+                'https://example.webhook.office.com/test',
+                'https://discord.com/api/webhooks/1'
+            ]);
+            expect(axios.post.mock.calls[1][1].attachments[0].contentType)
+                .toBe('application/vnd.microsoft.card.adaptive');
+            expect(axios.post.mock.calls[2][1].embeds[0].title).toBe('Pipeline SUCCEEDED');
+        } finally {
+            delete process.env.TEAMS_WEBHOOK_URL;
+            delete process.env.NOTIFICATION_CHANNELS;
+        }
+    });
+
+    test('should route notifications by the rules in the notification config', async () => {
+        const axios = require('axios');
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+        process.env.NOTIFICATION_CONFIG = path.join(directory, 'pipeline-config.json');
+        fs.writeFileSync(process.env.NOTIFICATION_CONFIG, JSON.stringify({
+            notifications: {
+                channels: {
+                    deployments: { type: 'slack', url: 'SLACK_WEBHOOK_URL', channel: '#deployments' },
+                    incidents: { type: 'slack', url: 'SLACK_WEBHOOK_URL', channel: '#incidents' }
+                },
+                rules: [
+                    { channels: ['deployments'] },
+                    { match: { state: 'FAILED', environment: 'production' }, channels: ['incidents'] }
+                ]
+            }
+        }));
+        const event = (state) => ({
+            detail: { pipeline: 'test-pipeline', 'execution-id': 'test-execution-id', state }
+        });
+
+        try {
+            expect(JSON.parse((await notificationHandler(event('SUCCEEDED'))).body).channels).toEqual(['deployments']);
+            expect(JSON.parse((await notificationHandler(event('FAILED'))).body).channels)
+                .toEqual(['deployments', 'incidents']);
+            expect(axios.post.mock.calls.map(([, payload]) => payload.channel))
+                .toEqual(['#deployments', '#deployments', '#incidents']);
+            expect(notificationPipeline.getPipeline).toHaveBeenCalledWith({ name: 'test-pipeline' });
+        } finally {
+            delete process.env.NOTIFICATION_CONFIG;
+        }
+    });
+
+    test('should mail HTML and plain text to several recipients from a configured sender', async () => {
+        Object.assign(process.env, {
+            ENABLE_EMAIL_NOTIFICATIONS: 'true',
+            NOTIFICATION_EMAIL: 'devops@company.com, oncall@company.com',
+            NOTIFICATION_EMAIL_CC: 'managers@company.com',
+            NOTIFICATION_EMAIL_FROM: 'pipelines@company.com'
+        });
+
+        try {
+            await notificationHandler({
+                detail: { pipeline: 'test-pipeline', 'execution-id': 'test-execution-id', state: 'FAILED' }
+            });
+
+            const ses = AWS.SES.mock.results[AWS.SES.mock.results.length - 1].value;
+            const params = ses.sendEmail.mock.calls[0][0];
+            expect(params.Destination).toEqual({
+                ToAddresses: ['devops@company.com', 'oncall@company.com'],
+                CcAddresses: ['managers@company.com']
+            });
+            expect(params.Source).toBe('pipelines@company.com');
+            expect(params.Message.Subject.Data).toBe('LambdaDeploy: test-pipeline - Pipeline FAILED');
+            expect(params.Message.Body.Html.Data).toMatch(/^<!DOCTYPE html>/);
+            expect(params.Message.Body.Text.Data).toMatch(/^Pipeline FAILED\n/);
+        } finally {
+            ['ENABLE_EMAIL_NOTIFICATIONS', 'NOTIFICATION_EMAIL', 'NOTIFICATION_EMAIL_CC', 'NOTIFICATION_EMAIL_FROM']
+                .forEach((name) => delete process.env[name]);
+        }
+    });
+
+    test('should not send email without a configured sender', async () => {
+        Object.assign(process.env, { ENABLE_EMAIL_NOTIFICATIONS: 'true', NOTIFICATION_EMAIL: 'devops@company.com' });
+
+        try {
+            const result = await notificationHandler({
+                detail: { pipeline: 'test-pipeline', 'execution-id': 'test-execution-id', state: 'FAILED' }
+            });
+
+            expect(result.statusCode).toBe(500);
+            expect(JSON.parse(result.body).details).toBe(
+                'Could not notify email (Email channel email has no sender; set from or NOTIFICATION_EMAIL_FROM)'
+            );
+            const ses = AWS.SES.mock.results[AWS.SES.mock.results.length - 1].value;
+            expect(ses.sendEmail).not.toHaveBeenCalled();
+        } finally {
+            ['ENABLE_EMAIL_NOTIFICATIONS', 'NOTIFICATION_EMAIL'].forEach((name) => delete process.env[name]);
+        }
+    });
+
+    test('should report channels that could not be notified', async () => {
+        const axios = require('axios');
+        axios.post.mockRejectedValueOnce(new Error('Request failed with status code 410'));
+
+        const result = await notificationHandler({
+            detail: { pipeline: 'test-pipeline', 'execution-id': 'test-execution-id', state: 'SUCCEEDED' }
+        });
+
+        expect(result.statusCode).toBe(500);
+        expect(JSON.parse(result.body).details).toBe('Could not notify slack (Request failed with status code 410)');
+        expect(axios.post.mock.calls[1][1].text).toBe('🚨 Notification Handler Error');
+    });
 });
 
 describe('Deployment Orchestrator', () => {
     beforeEach(() => {
         process.env.TARGET_FUNCTION_NAME = 'test-function';
         process.env.DEPLOYMENT_TYPE = 'lambda';
+        mockArtifactFiles = mockDefaultArtifactFiles;
         jest.clearAllMocks();
     });
 
@@ -147,9 +521,750 @@ describe('Deployment Orchestrator', () => {
         expect(JSON.parse(result.body).message).toBe('Deployment orchestrated successfully');
     });
 
+    test('should publish a version and move the live alias to it', async () => {
+        const result = await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        const body = JSON.parse(result.body);
+        expect(body.result.version).toBe('2');
+        expect(body.result.previousVersion).toBe('1');
+        expect(orchestratorLambda.publishVersion).toHaveBeenCalled();
+        expect(orchestratorLambda.updateAlias).toHaveBeenCalledWith({
+            FunctionName: 'test-function',
+            Name: 'live',
+            FunctionVersion: '2',
+            RoutingConfig: { AdditionalVersionWeights: {} }
+        });
+    });
+
+    test('should deploy the code straight from the artifact location', async () => {
+        await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        expect(orchestratorLambda.updateFunctionCode).toHaveBeenCalledWith({
+            FunctionName: 'test-function',
+            S3Bucket: 'test-bucket',
+            S3Key: 'test-key'
+        });
+        // Only the zip's central directory is read to look for a manifest
+        orchestratorS3.getObject.mock.calls.forEach(([params]) => expect(params.Range).toBeDefined());
+    });
+
+    test('should stream the artifact to the staging bucket when one is configured', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters =
+            JSON.stringify({ stagingBucket: 'staging-eu-west-1' });
+
+        await deploymentOrchestrator(event);
+
+        expect(orchestratorS3.upload).toHaveBeenCalledWith(expect.objectContaining({
+            Bucket: 'staging-eu-west-1',
+            Key: 'lambdadeploy-staging/test-key/package.zip'
+        }));
+        expect(mockUploads['staging-eu-west-1/lambdadeploy-staging/test-key/package.zip'])
+            .toBe(createMockZip(mockArtifactFiles).toString());
+        expect(orchestratorLambda.updateFunctionCode).toHaveBeenCalledWith({
+            FunctionName: 'test-function',
+            S3Bucket: 'staging-eu-west-1',
+            S3Key: 'lambdadeploy-staging/test-key/package.zip'
+        });
+    });
+
+    test('should read the staged artifact with the orchestrator credentials when assuming a role', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            roleArn: 'arn:aws:iam::222222222222:role/lambdadeploy-deployer',
+            stagingBucket: 'staging-222222222222'
+        });
+        const s3Clients = AWS.S3.mock.results.length;
+
+        await deploymentOrchestrator(event);
+
+        expect(AWS.S3)
+            .toHaveBeenLastCalledWith(expect.objectContaining({ accessKeyId: 'key-for-lambdadeploy-deployer' }));
+        const targetS3 = AWS.S3.mock.results[s3Clients].value;
+        expect(targetS3.upload).toHaveBeenCalledWith(expect.objectContaining({
+            Bucket: 'staging-222222222222',
+            Key: 'lambdadeploy-staging/test-key/package.zip'
+        }));
+        expect(targetS3.getObject).not.toHaveBeenCalled();
+        expect(targetS3.copyObject).not.toHaveBeenCalled();
+        expect(orchestratorS3.getObject).toHaveBeenCalledWith(expect.objectContaining({
+            Bucket: 'test-bucket',
+            Key: 'test-key',
+            Range: 'bytes=0-'
+        }));
+    });
+
+    test('should stream an S3 archive deployment with the orchestrator reading and the role writing', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            deploymentType: 's3',
+            bucketName: 'releases-222222222222',
+            roleArn: 'arn:aws:iam::222222222222:role/lambdadeploy-deployer'
+        });
+        const s3Clients = AWS.S3.mock.results.length;
+
+        await deploymentOrchestrator(event);
+
+        const targetS3 = AWS.S3.mock.results[s3Clients].value;
+        const [[upload]] = targetS3.upload.mock.calls;
+        expect(upload).toMatchObject({
+            Bucket: 'releases-222222222222',
+            Key: expect.stringMatching(/^deployments\/\d+\/app\.zip$/)
+        });
+        expect(mockUploads[`releases-222222222222/${upload.Key}`]).toBe(createMockZip(mockArtifactFiles).toString());
+        expect(targetS3.getObject).not.toHaveBeenCalled();
+        expect(targetS3.copyObject).not.toHaveBeenCalled();
+        expect(orchestratorS3.getObject).toHaveBeenCalledWith(expect.objectContaining({
+            Bucket: 'test-bucket',
+            Range: 'bytes=0-'
+        }));
+    });
+
+    test('should keep S3 archives under the configured prefix', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            deploymentType: 's3',
+            bucketName: 'releases',
+            prefix: 'orders-web'
+        });
+
+        const body = JSON.parse((await deploymentOrchestrator(event)).body);
+
+        expect(body.result.location).toMatch(/^s3:\/\/releases\/orders-web\/deployments\/\d+\/app\.zip$/);
+    });
+
+    test('should apply only the declared settings that differ and report them', async () => {
+        orchestratorLambda.getFunctionConfiguration().promise.mockResolvedValueOnce({
+            MemorySize: 128,
+            Timeout: 30,
+            Runtime: 'nodejs18.x',
+            Architectures: ['x86_64'],
+            Environment: { Variables: {} }
+        });
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            memorySize: 512,
+            timeout: 30,
+            runtime: 'nodejs20.x',
+            architecture: 'arm64',
+            reservedConcurrency: 50
+        });
+
+        const result = JSON.parse((await deploymentOrchestrator(event)).body).result;
+
+        expect(orchestratorLambda.updateFunctionCode).toHaveBeenCalledWith({
+            FunctionName: 'test-function',
+            S3Bucket: 'test-bucket',
+            S3Key: 'test-key',
+            Architectures: ['arm64']
+        });
+        const update = orchestratorLambda.updateFunctionConfiguration.mock.calls[0][0];
+        expect(update).toMatchObject({ MemorySize: 512, Runtime: 'nodejs20.x' });
+        expect(update).not.toHaveProperty('Timeout');
+        expect(orchestratorLambda.putFunctionConcurrency).toHaveBeenCalledWith({
+            FunctionName: 'test-function',
+            ReservedConcurrentExecutions: 50
+        });
+        expect(result.configurationChanges.map((change) => change.setting))
+            .toEqual(['memorySize', 'runtime', 'architecture', 'reservedConcurrency']);
+        expect(orchestratorPipeline.putJobSuccessResult).toHaveBeenCalledWith(expect.objectContaining({
+            outputVariables: expect.objectContaining({
+                configurationChanges: 'memorySize 128 -> 512, runtime nodejs18.x -> nodejs20.x, ' +
+                    'architecture x86_64 -> arm64, reservedConcurrency null -> 50'
+            })
+        }));
+    });
+
+    test('should only plan the deployment on a dry run', async () => {
+        orchestratorLambda.getFunctionConfiguration().promise.mockResolvedValueOnce({
+            CodeSha256: 'previous-code-sha',
+            MemorySize: 128,
+            Environment: { Variables: { LOG_LEVEL: 'info', FEATURE_FLAGS: 'resolved-from-ssm' } }
+        });
+        const event = createMockCodePipelineEvent();
+        const job = event['CodePipeline.job'];
+        job.data.outputArtifacts = [{
+            name: 'DeployPlan',
+            location: { s3Location: { bucketName: 'test-bucket', objectKey: 'plan-key' } }
+        }];
+        job.data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            dryRun: true,
+            memorySize: 256,
+            environmentVariables: {
+                LOG_LEVEL: 'debug',
+                FEATURE_FLAGS: 'ssm:/lambdadeploy/feature-flags',
+                API_KEY: 'secretsmanager:lambdadeploy/api#apiKey'
+            }
+        });
+
+        const body = JSON.parse((await deploymentOrchestrator(event)).body);
+
+        expect(body.message).toBe('Deployment planned');
+        const [change] = body.plan.changes;
+        expect(change).toMatchObject({
+            target: 'lambda:test-function',
+            alias: { name: 'live', currentVersion: '1', strategy: 'AllAtOnce' },
+            configurationChanges: [{ setting: 'memorySize', from: 128, to: 256 }],
+            environmentVariables: ['LOG_LEVEL', 'API_KEY'],
+            summary: 'new code, memorySize 128 -> 256, environment LOG_LEVEL API_KEY'
+        });
+        expect(change.code.before).toBe('previous-code-sha');
+        expect(change.code.after).toMatch(/^[A-Za-z0-9+/]{43}=$/);
+        expect(JSON.stringify(body.plan)).not.toContain('resolved-');
+
+        expect(orchestratorLambda.updateFunctionCode).not.toHaveBeenCalled();
+        expect(orchestratorLambda.updateFunctionConfiguration).not.toHaveBeenCalled();
+        expect(orchestratorLambda.updateAlias).not.toHaveBeenCalled();
+        expect(JSON.parse(mockSavedObjects['plan-key']).status).toBe('PLANNED');
+        expect(orchestratorPipeline.putJobSuccessResult).toHaveBeenCalledWith({
+            jobId: 'test-job-id',
+            outputVariables: expect.objectContaining({
+                deploymentStatus: 'PLANNED',
+                planTargets: 'lambda:test-function',
+                planSummary: 'lambda:test-function: new code, memorySize 128 -> 256, environment LOG_LEVEL API_KEY'
+            })
+        });
+    });
+
+    test('should roll back, record and fail the job with a report when a smoke test fails', async () => {
+        process.env.DEPLOYMENT_LOCKS_TABLE = 'lambdadeploy-locks';
+        process.env.DEPLOYMENT_HISTORY_TABLE = 'lambdadeploy-history';
+        orchestratorLambda.invoke().promise.mockResolvedValueOnce({
+            StatusCode: 200,
+            Payload: JSON.stringify({ statusCode: 200, body: JSON.stringify({ message: 'Goodbye' }) })
+        });
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            healthCheck: false,
+            smokeTests: [{
+                name: 'greets',
+                type: 'invoke',
+                payload: { path: '/hello' },
+                expect: { statusCode: 200, match: { 'body.message': '^Hello' } }
+            }]
+        });
+
+        await expect(deploymentOrchestrator(event)).rejects.toThrow(
+            '1 of 1 smoke tests failed: greets (body.message: expected "^Hello", got "Goodbye"); ' +
+            'rolled back live to version 1'
+        );
+
+        expect(orchestratorLambda.invoke).toHaveBeenCalledWith(expect.objectContaining({
+            FunctionName: 'test-function',
+            Qualifier: 'live'
+        }));
+        expect(orchestratorLambda.updateAlias).toHaveBeenLastCalledWith(expect.objectContaining({
+            Name: 'live',
+            FunctionVersion: '1'
+        }));
+        expect(orchestratorDynamoDB.put).toHaveBeenCalledWith({
+            TableName: 'lambdadeploy-history',
+            Item: expect.objectContaining({ target: 'lambda:test-function', outcome: 'FAILED' })
+        });
+        expect(orchestratorDynamoDB.put).not.toHaveBeenCalledWith(expect.objectContaining({
+            Item: expect.objectContaining({ outcome: 'SUCCEEDED' })
+        }));
+        expect(orchestratorDynamoDB.delete).toHaveBeenCalledWith(expect.objectContaining({
+            Key: { pk: 'lock#lambda:test-function' }
+        }));
+        expect(orchestratorDynamoDB.put.mock.invocationCallOrder.slice(-1)[0])
+            .toBeLessThan(orchestratorDynamoDB.delete.mock.invocationCallOrder[0]);
+        expect(orchestratorPipeline.putJobSuccessResult).not.toHaveBeenCalled();
+        expect(orchestratorPipeline.putJobFailureResult).toHaveBeenCalledWith({
+            jobId: 'test-job-id',
+            failureDetails: {
+                message: expect.stringContaining('smoke tests failed'),
+                type: 'JobFailed'
+            }
+        });
+        delete process.env.DEPLOYMENT_LOCKS_TABLE;
+        delete process.env.DEPLOYMENT_HISTORY_TABLE;
+    });
+
+    test('should deploy into another account through a chain of roles', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            roleArn: [
+                'arn:aws:iam::111111111111:role/lambdadeploy-hub',
+                'arn:aws:iam::222222222222:role/lambdadeploy-deployer'
+            ],
+            externalId: 'prod-deployments',
+            stagingBucket: 'staging-222222222222'
+        });
+        const lambdaClients = AWS.Lambda.mock.results.length;
+
+        const result = await deploymentOrchestrator(event);
+
+        expect(result.statusCode).toBe(200);
+        const [hub, deployer] = AWS.STS.mock.results.map((sts) => sts.value.assumeRole);
+        expect(hub).toHaveBeenCalledWith({
+            RoleArn: 'arn:aws:iam::111111111111:role/lambdadeploy-hub',
+            RoleSessionName: 'lambdadeploy-test-job-id'
+        });
+        expect(AWS.STS).toHaveBeenLastCalledWith({
+            accessKeyId: 'key-for-lambdadeploy-hub',
+            secretAccessKey: 'secret',
+            sessionToken: 'token',
+            maxRetries: 0
+        });
+        expect(deployer).toHaveBeenCalledWith(expect.objectContaining({ ExternalId: 'prod-deployments' }));
+
+        expect(AWS.Lambda)
+            .toHaveBeenLastCalledWith(expect.objectContaining({ accessKeyId: 'key-for-lambdadeploy-deployer' }));
+        const targetLambda = AWS.Lambda.mock.results[lambdaClients].value;
+        expect(targetLambda.updateFunctionCode).toHaveBeenCalled();
+        expect(orchestratorLambda.updateFunctionCode).not.toHaveBeenCalled();
+    });
+
+    test('should deploy the same artifact to every listed region', async () => {
+        const event = createMockCodePipelineEvent();
+        const job = event['CodePipeline.job'];
+        job.data.outputArtifacts = [{
+            name: 'DeploySummary',
+            location: { s3Location: { bucketName: 'test-bucket', objectKey: 'regions-summary-key' } }
+        }];
+        job.data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            regions: ['us-east-1', 'eu-west-1'],
+            regionOrder: 'parallel',
+            stagingBucket: 'lambdadeploy-staging-{region}'
+        });
+        const lambdaClients = AWS.Lambda.mock.results.length;
+
+        await deploymentOrchestrator(event);
+
+        expect(AWS.Lambda).toHaveBeenCalledWith({ region: 'eu-west-1', maxRetries: 0 });
+        const regionalLambda = AWS.Lambda.mock.results[lambdaClients].value;
+        expect(regionalLambda.updateFunctionCode).toHaveBeenCalledWith(expect.objectContaining({
+            S3Bucket: 'lambdadeploy-staging-eu-west-1'
+        }));
+        expect(orchestratorLambda.updateFunctionCode).toHaveBeenCalledWith(expect.objectContaining({
+            S3Bucket: 'lambdadeploy-staging-us-east-1'
+        }));
+
+        const { deploymentResult } = JSON.parse(mockSavedObjects['regions-summary-key']);
+        expect(deploymentResult).toMatchObject({
+            type: 'multi-region',
+            regionOrder: 'parallel',
+            regions: {
+                'us-east-1': { type: 'lambda', version: '2' },
+                'eu-west-1': { type: 'lambda', version: '2' }
+            }
+        });
+        expect(orchestratorPipeline.putJobSuccessResult).toHaveBeenCalledWith({
+            jobId: 'test-job-id',
+            outputVariables: expect.objectContaining({ deployedRegions: 'us-east-1, eu-west-1' })
+        });
+    });
+
+    test('should retry a configuration update that conflicts with the code update', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        orchestratorLambda.updateFunctionConfiguration().promise.mockRejectedValueOnce(Object.assign(
+            new Error('The operation cannot be performed at this time. An update is in progress for resource'),
+            { code: 'ResourceConflictException', statusCode: 409 }
+        ));
+        jest.clearAllMocks();
+
+        const result = await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        Math.random.mockRestore();
+        expect(result.statusCode).toBe(200);
+        expect(orchestratorLambda.updateFunctionConfiguration).toHaveBeenCalledTimes(2);
+    });
+
+    test('should promote the artifact that passed in the lower environment', async () => {
+        const zip = createMockZip(mockDefaultArtifactFiles);
+        const artifactHash = require('crypto').createHash('sha256').update(zip).digest('base64');
+        const promotedKey = artifactKey(artifactHash);
+        mockSavedObjects[promotedKey] = zip;
+        orchestratorDynamoDB.query().promise.mockResolvedValueOnce({
+            Items: [{ artifactHash, artifactBucket: 'test-bucket', artifactKey: promotedKey, commitSha: 'staging-sha' }]
+        });
+        jest.clearAllMocks();
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            environment: 'production',
+            historyTable: 'deployment-history',
+            promotionBucket: 'test-bucket',
+            promoteFrom: 'staging'
+        });
+
+        await deploymentOrchestrator(event);
+
+        expect(orchestratorDynamoDB.query).toHaveBeenCalledWith(expect.objectContaining({
+            ExpressionAttributeValues: { ':pk': 'release#staging' }
+        }));
+        expect(orchestratorLambda.updateFunctionCode).toHaveBeenCalledWith(expect.objectContaining({
+            S3Bucket: 'test-bucket',
+            S3Key: promotedKey
+        }));
+        expect(orchestratorDynamoDB.put).toHaveBeenCalledWith({
+            TableName: 'deployment-history',
+            Item: expect.objectContaining({
+                pk: 'release#production',
+                artifactHash,
+                commitSha: 'staging-sha',
+                promotedFrom: 'staging'
+            })
+        });
+        expect(orchestratorPipeline.putJobSuccessResult).toHaveBeenCalledWith({
+            jobId: 'test-job-id',
+            outputVariables: expect.objectContaining({ artifactHash })
+        });
+    });
+
+    test('should record the same artifact hash in the ledger and the release', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            historyTable: 'deployment-history',
+            promotionBucket: 'promotions'
+        });
+
+        await deploymentOrchestrator(event);
+
+        const items = orchestratorDynamoDB.put.mock.calls.map(([params]) => params.Item);
+        const ledger = items.find((item) => item.pk === 'development#lambda:test-function');
+        const release = items.find((item) => item.pk === 'release#development');
+        expect(ledger.artifactHash).toMatch(/^[A-Za-z0-9+/]{43}=$/);
+        expect(release.artifactHash).toBe(ledger.artifactHash);
+        expect(release.artifactKey).toBe(artifactKey(ledger.artifactHash));
+    });
+
+    test('should refuse to promote when nothing has passed in the lower environment', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            environment: 'production',
+            historyTable: 'deployment-history',
+            promoteFrom: 'staging'
+        });
+
+        await expect(deploymentOrchestrator(event)).rejects.toThrow('No artifact has passed in staging yet');
+        expect(orchestratorLambda.updateFunctionCode).not.toHaveBeenCalled();
+    });
+
+    test('should deploy a container image pinned to its digest', async () => {
+        const digest = `sha256:${'a'.repeat(64)}`;
+        mockArtifactFiles = {
+            'imageDetail.json': JSON.stringify({
+                ImageURI: '123456789012.dkr.ecr.us-east-1.amazonaws.com/app:build-42',
+                ImageDigest: digest
+            })
+        };
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters =
+            JSON.stringify({ packageType: 'Image' });
+
+        const result = JSON.parse((await deploymentOrchestrator(event)).body).result;
+
+        expect(orchestratorLambda.updateFunctionCode).toHaveBeenCalledWith({
+            FunctionName: 'test-function',
+            ImageUri: `123456789012.dkr.ecr.us-east-1.amazonaws.com/app@${digest}`
+        });
+        expect(orchestratorLambda.getFunction).toHaveBeenCalledWith({ FunctionName: 'test-function' });
+        expect(result.version).toBe('2');
+        expect(result.imageUri).toBe(`123456789012.dkr.ecr.us-east-1.amazonaws.com/app@${digest}`);
+    });
+
+    test('should fail before publishing when the function runs a different image', async () => {
+        mockArtifactFiles = {
+            'imageDetail.json': JSON.stringify({
+                ImageURI: `123456789012.dkr.ecr.us-east-1.amazonaws.com/app@sha256:${'b'.repeat(64)}`
+            })
+        };
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters =
+            JSON.stringify({ packageType: 'Image' });
+
+        await expect(deploymentOrchestrator(event)).rejects.toThrow(
+            `test-function runs image sha256:${'a'.repeat(64)}, expected sha256:${'b'.repeat(64)}`
+        );
+        expect(orchestratorLambda.publishVersion).not.toHaveBeenCalled();
+    });
+
+    test('should hand CodePipeline a continuation token and resume the rollout from it', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters =
+            JSON.stringify({ deploymentStrategy: 'Canary10Percent5Minutes' });
+        // Nothing left beyond the time reserved for saving progress
+        const context = createMockContext({ getRemainingTimeInMillis: () => 60000 });
+
+        const first = JSON.parse((await deploymentOrchestrator(event, context)).body);
+
+        expect(first.continuationToken).toBe('lambdadeploy-state/test-job-id.json');
+        expect(orchestratorPipeline.putJobSuccessResult).toHaveBeenCalledWith({
+            jobId: 'test-job-id',
+            continuationToken: 'lambdadeploy-state/test-job-id.json',
+            executionDetails: { summary: 'Shifting live of test-function to version 2' }
+        });
+        expect(orchestratorLambda.updateAlias).toHaveBeenLastCalledWith(expect.objectContaining({
+            RoutingConfig: { AdditionalVersionWeights: { 2: 0.1 } }
+        }));
+
+        // CodePipeline invokes again with the token once the canary has baked
+        const resumed = createMockCodePipelineEvent({ id: 'test-job-id-2' });
+        resumed['CodePipeline.job'].data = {
+            ...event['CodePipeline.job'].data,
+            continuationToken: first.continuationToken
+        };
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 6 * 60 * 1000);
+
+        const second = JSON.parse((await deploymentOrchestrator(resumed, context)).body);
+        Date.now.mockRestore();
+
+        expect(second.result.version).toBe('2');
+        expect(orchestratorLambda.publishVersion).toHaveBeenCalledTimes(1);
+        expect(orchestratorLambda.updateAlias).toHaveBeenLastCalledWith(expect.objectContaining({
+            FunctionVersion: '2',
+            RoutingConfig: { AdditionalVersionWeights: {} }
+        }));
+        expect(orchestratorS3.deleteObject).toHaveBeenCalledWith({
+            Bucket: 'test-bucket',
+            Key: 'lambdadeploy-state/test-job-id.json'
+        });
+    });
+
+    test('should not deploy a job that was already delivered', async () => {
+        process.env.DEPLOYMENT_LOCKS_TABLE = 'lambdadeploy-locks';
+        orchestratorDynamoDB.put().promise.mockRejectedValueOnce(conditionFailure('ConditionalCheckFailedException'));
+        orchestratorDynamoDB.get().promise.mockResolvedValueOnce({ Item: { status: 'SUCCEEDED' } });
+
+        const result = await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        expect(JSON.parse(result.body)).toEqual({
+            message: 'Job already processed',
+            jobId: 'test-job-id',
+            status: 'SUCCEEDED'
+        });
+        expect(orchestratorLambda.updateFunctionCode).not.toHaveBeenCalled();
+        expect(orchestratorPipeline.putJobSuccessResult).not.toHaveBeenCalled();
+        delete process.env.DEPLOYMENT_LOCKS_TABLE;
+    });
+
+    test('should lock the function while deploying and record the job outcome', async () => {
+        process.env.DEPLOYMENT_LOCKS_TABLE = 'lambdadeploy-locks';
+
+        await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        expect(orchestratorDynamoDB.transactWrite.mock.calls[0][0].TransactItems[0].Put.Item).toEqual(
+            expect.objectContaining({ pk: 'lock#lambda:test-function', owner: 'test-job-id' })
+        );
+        expect(orchestratorDynamoDB.delete).toHaveBeenCalledWith(expect.objectContaining({
+            Key: { pk: 'lock#lambda:test-function' }
+        }));
+        expect(orchestratorDynamoDB.update).toHaveBeenCalledWith(expect.objectContaining({
+            Key: { pk: 'job#test-job-id' },
+            ExpressionAttributeValues: expect.objectContaining({ ':status': 'SUCCEEDED' })
+        }));
+        delete process.env.DEPLOYMENT_LOCKS_TABLE;
+    });
+
+    test('should fail fast when another deployment holds the lock', async () => {
+        process.env.DEPLOYMENT_LOCKS_TABLE = 'lambdadeploy-locks';
+        orchestratorDynamoDB.transactWrite().promise
+            .mockRejectedValueOnce(conditionFailure('TransactionCanceledException'));
+        orchestratorDynamoDB.get().promise.mockResolvedValueOnce({
+            Item: { owner: 'other-job', expiresAt: Math.floor(Date.now() / 1000) + 600 }
+        });
+
+        await expect(deploymentOrchestrator(createMockCodePipelineEvent()))
+            .rejects.toThrow('Another deployment is in progress for lambda:test-function (locked by job other-job)');
+        expect(orchestratorLambda.updateFunctionCode).not.toHaveBeenCalled();
+        delete process.env.DEPLOYMENT_LOCKS_TABLE;
+    });
+
+    test('should record the deployment in the history ledger', async () => {
+        process.env.DEPLOYMENT_HISTORY_TABLE = 'lambdadeploy-history';
+        const artifactHash = require('crypto').createHash('sha256')
+            .update(createMockZip(mockArtifactFiles)).digest('base64');
+
+        await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        expect(orchestratorDynamoDB.put).toHaveBeenCalledWith({
+            TableName: 'lambdadeploy-history',
+            Item: expect.objectContaining({
+                pk: 'development#lambda:test-function',
+                target: 'lambda:test-function',
+                environment: 'development',
+                previousVersion: '1',
+                newVersion: '2',
+                commitSha: 'abc123def',
+                artifactHash,
+                jobId: 'test-job-id',
+                strategy: 'allAtOnce',
+                outcome: 'SUCCEEDED'
+            })
+        });
+        delete process.env.DEPLOYMENT_HISTORY_TABLE;
+    });
+
+    test('should merge declared environment variables into the existing ones', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters = JSON.stringify({
+            environmentVariables: {
+                LOG_LEVEL: 'debug',
+                FEATURE_FLAGS: 'ssm:/lambdadeploy/feature-flags',
+                API_KEY: 'secretsmanager:lambdadeploy/app#apiKey'
+            }
+        });
+
+        await deploymentOrchestrator(event);
+
+        const update = orchestratorLambda.updateFunctionConfiguration.mock.calls[0][0];
+        expect(update.Environment.Variables).toEqual({
+            DATABASE_URL: 'postgres://db.internal/app',
+            LOG_LEVEL: 'debug',
+            FEATURE_FLAGS: 'resolved-from-ssm',
+            API_KEY: 'resolved-secret',
+            NODE_ENV: 'development',
+            DEPLOYMENT_TIME: expect.any(String)
+        });
+    });
+
+    test('should keep existing environment variables in production', async () => {
+        process.env.ENVIRONMENT = 'production';
+
+        await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        const update = orchestratorLambda.updateFunctionConfiguration.mock.calls[0][0];
+        expect(update.Environment.Variables.DATABASE_URL).toBe('postgres://db.internal/app');
+        expect(update.Environment.Variables.NODE_ENV).toBe('production');
+        delete process.env.ENVIRONMENT;
+    });
+
+    test('should roll back the alias and fail the job when the health check fails', async () => {
+        orchestratorLambda.invoke().promise.mockResolvedValueOnce({
+            StatusCode: 200,
+            Payload: JSON.stringify({ statusCode: 500 })
+        });
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters =
+            JSON.stringify({ healthCheck: true });
+
+        await expect(deploymentOrchestrator(event))
+            .rejects.toThrow('Health check for version 2 returned status 500; rolled back live to version 1');
+
+        expect(orchestratorLambda.updateAlias).toHaveBeenLastCalledWith({
+            FunctionName: 'test-function',
+            Name: 'live',
+            FunctionVersion: '1',
+            RoutingConfig: { AdditionalVersionWeights: {} }
+        });
+        expect(orchestratorPipeline.putJobFailureResult).toHaveBeenCalledWith({
+            jobId: 'test-job-id',
+            failureDetails: expect.objectContaining({
+                message: expect.stringContaining('rolled back live to version 1')
+            })
+        });
+    });
+
+    test('should roll back when a monitored alarm fires', async () => {
+        process.env.ROLLBACK_ALARM_NAMES = 'app-errors';
+        orchestratorCloudWatch.describeAlarms().promise.mockResolvedValueOnce({
+            MetricAlarms: [{ AlarmName: 'app-errors', StateValue: 'ALARM' }]
+        });
+
+        await expect(deploymentOrchestrator(createMockCodePipelineEvent()))
+            .rejects.toThrow('CloudWatch alarm in ALARM state: app-errors');
+
+        expect(orchestratorCloudWatch.describeAlarms).toHaveBeenCalledWith({ AlarmNames: ['app-errors'] });
+        delete process.env.ROLLBACK_ALARM_NAMES;
+    });
+
+    test('should deploy every function listed in the artifact manifest', async () => {
+        mockArtifactFiles = {
+            'deploy-manifest.json': JSON.stringify({
+                targets: [
+                    {
+                        name: 'app',
+                        functionName: 'lambdadeploy-app',
+                        package: 'dist/app.zip',
+                        handler: 'index.handler',
+                        memorySize: 256,
+                        healthCheck: true
+                    },
+                    {
+                        name: 'notifications',
+                        functionName: 'lambdadeploy-notification-handler',
+                        package: 'dist/notification-handler.zip',
+                        timeout: 60
+                    }
+                ]
+            }),
+            'dist/app.zip': 'app-package',
+            'dist/notification-handler.zip': 'notification-package'
+        };
+
+        const result = await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        const body = JSON.parse(result.body);
+        expect(body.result.type).toBe('manifest');
+        expect(body.result.targets.map((target) => [target.name, target.status])).toEqual([
+            ['app', 'SUCCEEDED'],
+            ['notifications', 'SUCCEEDED']
+        ]);
+        expect(orchestratorLambda.updateFunctionCode).toHaveBeenCalledWith({
+            FunctionName: 'lambdadeploy-notification-handler',
+            S3Bucket: 'test-bucket',
+            S3Key: 'lambdadeploy-staging/test-key/dist/notification-handler.zip'
+        });
+        expect(mockUploads['test-bucket/lambdadeploy-staging/test-key/dist/notification-handler.zip'])
+            .toBe('notification-package');
+        expect(orchestratorLambda.updateFunctionConfiguration).toHaveBeenCalledWith(expect.objectContaining({
+            FunctionName: 'lambdadeploy-app',
+            Handler: 'index.handler',
+            MemorySize: 256
+        }));
+        expect(orchestratorLambda.invoke).toHaveBeenCalledTimes(1);
+        expect(orchestratorLambda.invoke).toHaveBeenCalledWith(expect.objectContaining({
+            FunctionName: 'lambdadeploy-app'
+        }));
+    });
+
+    test('should not health check manifest targets that do not opt in', async () => {
+        process.env.HEALTH_CHECK_ENABLED = 'true';
+        mockArtifactFiles = {
+            'deploy-manifest.json': JSON.stringify({
+                targets: [{
+                    name: 'notifications',
+                    functionName: 'lambdadeploy-notification-handler',
+                    package: 'dist/notification-handler.zip'
+                }]
+            }),
+            'dist/notification-handler.zip': 'notification-package'
+        };
+
+        const result = await deploymentOrchestrator(createMockCodePipelineEvent());
+
+        expect(JSON.parse(result.body).result.targets[0].status).toBe('SUCCEEDED');
+        expect(orchestratorLambda.invoke).not.toHaveBeenCalled();
+        delete process.env.HEALTH_CHECK_ENABLED;
+    });
+
+    test('should fail the job for an unknown deployment strategy', async () => {
+        const event = createMockCodePipelineEvent();
+        event['CodePipeline.job'].data.actionConfiguration.configuration.UserParameters =
+            JSON.stringify({ deploymentStrategy: 'Sometimes' });
+
+        await expect(deploymentOrchestrator(event)).rejects.toThrow('Unsupported deployment strategy');
+        expect(orchestratorLambda.updateFunctionCode).not.toHaveBeenCalled();
+        expect(orchestratorPipeline.putJobFailureResult).toHaveBeenCalledWith({
+            jobId: 'test-job-id',
+            failureDetails: expect.objectContaining({ type: 'ConfigurationError' })
+        });
+    });
+
+    test('should cut long failure messages to what CodePipeline accepts', async () => {
+        orchestratorLambda.updateFunctionCode().promise.mockRejectedValueOnce(new Error('x'.repeat(6000)));
+
+        await expect(deploymentOrchestrator(createMockCodePipelineEvent())).rejects.toThrow();
+
+        const { message } = orchestratorPipeline.putJobFailureResult.mock.calls[0][0].failureDetails;
+        expect(message).toHaveLength(5000);
+        expect(message).toMatch(/x\.\.\.$/);
+    });
+
     test('should handle deployment failure', async () => {
-        const AWS = require('aws-sdk');
-        AWS.Lambda().updateFunctionCode().promise.mockRejectedValue(new Error('Deployment failed'));
+        orchestratorLambda.updateFunctionCode().promise.mockRejectedValueOnce(new Error('Deployment failed'));
 
         const event = {
             'CodePipeline.job': {
@@ -197,6 +1312,13 @@ describe('Sample Application', () => {
         expect(body.requestId).toBe('test-request-id');
     });
 
+    test('should answer orchestrator health checks', async () => {
+        const result = await sampleApp({ source: 'lambdadeploy.health-check' }, createMockContext());
+
+        expect(result.statusCode).toBe(200);
+        expect(JSON.parse(result.body).status).toBe('healthy');
+    });
+
     test('should include environment variables in response', async () => {
         process.env.APP_VERSION = '2.0.0';
         process.env.NODE_ENV = 'production';
@@ -0,0 +1,92 @@
+const {
+    claimJob,
+    acquireTargetLocks,
+    releaseTargetLocks
+} = require('../src/lambda/deployment-orchestrator/locks');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+const awsFailure = (code) => ({
+    promise: () => Promise.reject(Object.assign(new Error('The conditional request failed'), { code }))
+});
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+const createDocumentClient = () => ({
+    put: jest.fn(() => awsResponse({})),
+    get: jest.fn(() => awsResponse({})),
+    delete: jest.fn(() => awsResponse({})),
+    transactWrite: jest.fn(() => awsResponse({}))
+});
+
+describe('Job deduplication', () => {
+    test('should claim a job only once', async () => {
+        const db = createDocumentClient();
+
+        const first = await claimJob(db, 'locks', 'job-1');
+        expect(first.claimed).toBe(true);
+        expect(db.put).toHaveBeenCalledWith(expect.objectContaining({
+            ConditionExpression: 'attribute_not_exists(pk)'
+        }));
+
+        db.put.mockReturnValueOnce(awsFailure('ConditionalCheckFailedException'));
+        db.get.mockReturnValueOnce(awsResponse({ Item: { pk: 'job#job-1', status: 'IN_PROGRESS' } }));
+
+        const second = await claimJob(db, 'locks', 'job-1');
+        expect(second).toEqual({ claimed: false, record: { pk: 'job#job-1', status: 'IN_PROGRESS' } });
+    });
+
+    test('should keep a claim whose put went through before it was retried', async () => {
+        const db = createDocumentClient();
+        db.put.mockImplementationOnce((params) => {
+            db.get.mockReturnValueOnce(awsResponse({ Item: params.Item }));
+            return awsFailure('ConditionalCheckFailedException');
+        });
+
+        const claim = await claimJob(db, 'locks', 'job-1');
+
+        expect(claim.claimed).toBe(true);
+        expect(claim.record.claimId).toEqual(expect.any(String));
+    });
+});
+
+describe('Target locks', () => {
+    test('should lock every target in one transaction', async () => {
+        const db = createDocumentClient();
+
+        const lock = await acquireTargetLocks(db, 'locks', ['lambda:app', 'lambda:worker'], 'job-1');
+
+        expect(lock.acquired).toBe(true);
+        const items = db.transactWrite.mock.calls[0][0].TransactItems;
+        expect(items.map((item) => item.Put.Item.pk)).toEqual(['lock#lambda:app', 'lock#lambda:worker']);
+        expect(items[0].Put.ExpressionAttributeValues[':owner']).toBe('job-1');
+    });
+
+    test('should report who holds a lock that could not be taken', async () => {
+        const db = createDocumentClient();
+        db.transactWrite.mockReturnValueOnce(awsFailure('TransactionCanceledException'));
+        db.get
+            .mockReturnValueOnce(awsResponse({ Item: { owner: 'job-1', expiresAt: inOneHour() } }))
+            .mockReturnValueOnce(awsResponse({
+                Item: { owner: 'job-0', expiresAt: inOneHour(), acquiredAt: 'earlier' }
+            }));
+
+        const lock = await acquireTargetLocks(db, 'locks', ['lambda:app', 'lambda:worker'], 'job-1');
+
+        expect(lock).toEqual({
+            acquired: false,
+            holders: [{ target: 'lambda:worker', owner: 'job-0', acquiredAt: 'earlier' }]
+        });
+    });
+
+    test('should leave locks alone that another job has taken over', async () => {
+        const db = createDocumentClient();
+        db.delete.mockReturnValueOnce(awsFailure('ConditionalCheckFailedException'));
+
+        await releaseTargetLocks(db, 'locks', ['lambda:app', 'lambda:worker'], 'job-1');
+
+        expect(db.delete).toHaveBeenCalledTimes(2);
+        expect(db.delete).toHaveBeenLastCalledWith(expect.objectContaining({
+            Key: { pk: 'lock#lambda:worker' },
+            ExpressionAttributeValues: { ':owner': 'job-1' }
+        }));
+    });
+});
@@ -0,0 +1,68 @@
+const {
+    readDeployManifest,
+    deployManifestTargets
+} = require('../src/lambda/deployment-orchestrator/manifest');
+
+const manifestWith = (mode) => ({
+    mode,
+    targets: [
+        { name: 'first', functionName: 'first' },
+        { name: 'second', functionName: 'second' },
+        { name: 'third', functionName: 'third' }
+    ]
+});
+
+describe('Deploy manifest', () => {
+    test('should return null when the artifact has no manifest', async () => {
+        expect(await readDeployManifest(createMockArtifact({ 'index.js': '' }))).toBeNull();
+    });
+
+    test('should reject targets without a package', async () => {
+        const artifact = createMockArtifact({
+            'deploy-manifest.json': JSON.stringify({ targets: [{ name: 'app', functionName: 'app' }] })
+        });
+
+        await expect(readDeployManifest(artifact)).rejects.toThrow('Manifest target app is missing package');
+    });
+
+    test('should skip the remaining targets after a sequential failure', async () => {
+        const deployTarget = jest.fn(async (target) => {
+            if (target.name === 'second') {
+                throw new Error('boom');
+            }
+            return { version: '1' };
+        });
+
+        await expect(deployManifestTargets(manifestWith('sequential'), deployTarget))
+            .rejects.toThrow('Manifest deployment failed for second (boom)');
+        expect(deployTarget).toHaveBeenCalledTimes(2);
+    });
+
+    test('should deploy all targets in parallel mode even when one fails', async () => {
+        const deployTarget = jest.fn(async (target) => {
+            if (target.name === 'first') {
+                throw new Error('boom');
+            }
+            return { version: '1' };
+        });
+
+        await expect(deployManifestTargets(manifestWith('parallel'), deployTarget))
+            .rejects.toThrow('Manifest deployment failed for first (boom)');
+        expect(deployTarget).toHaveBeenCalledTimes(3);
+    });
+
+    test('should only deploy unfinished targets when resumed', async () => {
+        const outcomes = {};
+        const deployTarget = jest.fn(async (target) => target.name === 'second' && deployTarget.mock.calls.length < 4
+            ? { inProgress: true }
+            : { version: '1' });
+
+        const first = await deployManifestTargets(manifestWith('parallel'), deployTarget, outcomes);
+        expect(first).toEqual({ inProgress: true, summary: '2 of 3 manifest targets finished' });
+
+        const second = await deployManifestTargets(manifestWith('parallel'), deployTarget, outcomes);
+        expect(second.results.map((result) => result.status)).toEqual(['SUCCEEDED', 'SUCCEEDED', 'SUCCEEDED']);
+        expect(deployTarget).toHaveBeenCalledTimes(4);
+        expect(deployTarget).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'second' }));
+    });
+});
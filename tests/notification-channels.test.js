@@ -0,0 +1,191 @@
+jest.mock('axios', () => ({
+    post: jest.fn().mockResolvedValue({ status: 200 })
+}));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const registry = require('../src/lambda/notification-handler/channels');
+const { buildMessage } = require('../src/lambda/notification-handler/message');
+
+const notification = {
+    level: 'action',
+    pipelineName: 'app',
+    executionId: 'exec-1',
+    state: 'FAILED',
+    stage: 'Build',
+    action: 'BuildAction',
+    failedAction: {
+        stage: 'Build',
+        action: 'BuildAction',
+        externalExecution: { id: 'build:1', url: 'https://build/1', summary: 'Tests failed' }
+    },
+    durationMs: 65000,
+    stageDurations: [{ stage: 'Build', status: 'Failed', durationMs: 65000 }],
+    buildExecution: { id: 'build:1', url: 'https://build/1', summary: 'Tests failed' }
+};
+
+const commit = {
+    sha: '0123456789abcdef',
+    shortSha: '0123456',
+    message: 'Fix <script> & friends',
+    author: 'Ada Lovelace (@ada)',
+    url: 'https://github.com/acme/app/commit/0123456789abcdef'
+};
+
+const message = buildMessage(notification, { commit, branch: 'main' });
+
+const executionUrl = 'https://console.aws.amazon.com/codesuite/codepipeline/pipelines/app/executions/exec-1/timeline' +
+    '?region=us-east-1';
+
+const render = (type, channel = {}) => registry.getChannel(type).render(message, { type, ...channel });
+
+describe('Notification channels', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should build a channel-neutral message', () => {
+        expect(message).toMatchObject({
+            title: 'Action BuildAction in Build FAILED',
+            status: 'failure',
+            url: 'https://console.aws.amazon.com/codesuite/codepipeline/pipelines/app/view?region=us-east-1',
+            retry: { stage: 'Build', url: executionUrl }
+        });
+        expect(message.links).toEqual([
+            { text: 'View commit', url: commit.url },
+            { text: 'View execution', url: executionUrl },
+            { text: 'Build logs', url: 'https://build/1' }
+        ]);
+        expect(message.fields).toEqual(expect.arrayContaining([
+            { title: 'Execution ID', value: 'exec-1', short: true, url: executionUrl },
+            { title: 'Branch', value: 'main', short: true },
+            { title: 'Commit', value: '0123456', short: true, url: commit.url },
+            { title: 'Author', value: 'Ada Lovelace (@ada)', short: true },
+            { title: 'Duration', value: '1m 5s', short: true },
+            {
+                title: 'Failed action',
+                value: 'Build / BuildAction',
+                short: false,
+                link: { url: 'https://build/1', text: 'Tests failed' }
+            },
+            { title: 'Stage durations', value: 'Build: 1m 5s (Failed)', short: false }
+        ]));
+    });
+
+    test('should render Slack Block Kit', () => {
+        const payload = render('slack', { channel: '#incidents' });
+        const blocksOf = (type) => payload.blocks.filter((block) => block.type === type);
+
+        expect(payload.channel).toBe('#incidents');
+        expect(payload.text).toBe('❌ Action BuildAction in Build FAILED');
+        expect(blocksOf('header')[0].text.text).toBe('❌ Action BuildAction in Build FAILED');
+        expect(blocksOf('section')[0].fields).toEqual(expect.arrayContaining([
+            { type: 'mrkdwn', text: `*Commit*\n<${commit.url}|0123456>` },
+            { type: 'mrkdwn', text: '*Duration*\n1m 5s' }
+        ]));
+        expect(blocksOf('section').map((block) => block.text && block.text.text)).toEqual(expect.arrayContaining([
+            '*Commit message*\nFix &lt;script&gt; &amp; friends',
+            '*Failed action*\nBuild / BuildAction (<https://build/1|Tests failed>)'
+        ]));
+
+        const buttons = blocksOf('actions')[0].elements;
+        expect(buttons.map((element) => element.text.text))
+            .toEqual(['View commit', 'View execution', 'Build logs', 'Retry stage']);
+        expect(buttons[3]).toMatchObject({ style: 'danger', url: executionUrl, action_id: 'retry_stage' });
+        expect(JSON.parse(buttons[3].value))
+            .toEqual({ pipelineName: 'app', pipelineExecutionId: 'exec-1', stageName: 'Build' });
+    });
+
+    test('should keep Slack fields and section text within their Block Kit limits', () => {
+        const long = {
+            ...message,
+            fields: [
+                { title: 'Reason', value: 'x'.repeat(2500), short: true },
+                { title: 'Details', value: 'y'.repeat(3500), short: false }
+            ]
+        };
+        const sections = registry.getChannel('slack').render(long, { type: 'slack' }).blocks
+            .filter((block) => block.type === 'section');
+
+        expect(sections[0].fields[0].text).toHaveLength(2000);
+        expect(sections[0].fields[0].text).toMatch(/\.\.\.$/);
+        expect(sections[1].text.text).toHaveLength(3000);
+    });
+
+    test('should leave out the retry button unless something failed', () => {
+        const succeeded = buildMessage({ ...notification, state: 'SUCCEEDED', failedAction: null }, { commit });
+        const payload = registry.getChannel('slack').render(succeeded, { type: 'slack' });
+
+        expect(succeeded.retry).toBeNull();
+        expect(payload.blocks.find((block) => block.type === 'actions').elements.map((element) => element.text.text))
+            .toEqual(['View commit', 'View execution', 'Build logs']);
+    });
+
+    test('should render a Teams Adaptive Card', () => {
+        const card = render('teams').attachments[0];
+
+        expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+        expect(card.content.body[0]).toMatchObject({ text: message.title, color: 'Attention' });
+        expect(card.content.body[1].facts).toContainEqual({
+            title: 'Failed action',
+            value: 'Build / BuildAction ([Tests failed](https://build/1))'
+        });
+        expect(card.content.actions.map((action) => action.title))
+            .toEqual(['View pipeline', 'View commit', 'View execution', 'Build logs']);
+    });
+
+    test('should render a Discord embed', () => {
+        const embed = render('discord').embeds[0];
+
+        expect(embed).toMatchObject({ title: message.title, url: message.url, color: 0xff0000 });
+        expect(embed.fields).toContainEqual({ name: 'Stage', value: 'Build', inline: true });
+    });
+
+    test('should sign generic webhooks when given a secret', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+        const channel = { type: 'webhook', url: 'https://hooks.example.com/pipeline', secret: 'shh' };
+
+        expect(await registry.deliver(message, [channel])).toEqual([]);
+
+        const [url, body, { headers }] = axios.post.mock.calls[0];
+        const expected = crypto.createHmac('sha256', 'shh').update(`1700000000.${body}`).digest('hex');
+        expect(url).toBe('https://hooks.example.com/pipeline');
+        expect(JSON.parse(body)).toEqual(message);
+        expect(headers).toMatchObject({
+            'X-LambdaDeploy-Timestamp': '1700000000',
+            'X-LambdaDeploy-Signature': `sha256=${expected}`
+        });
+
+        await registry.deliver(message, [{ type: 'webhook', url: 'https://hooks.example.com/pipeline' }]);
+        expect(axios.post.mock.calls[1][2].headers['X-LambdaDeploy-Signature']).toBeUndefined();
+    });
+
+    test('should keep delivering when one channel fails', async () => {
+        axios.post.mockRejectedValueOnce(new Error('Request failed with status code 404'));
+
+        const failures = await registry.deliver(message, [
+            { type: 'teams', url: 'https://teams/1' },
+            { type: 'discord', url: 'https://discord/1' },
+            { type: 'pager' }
+        ]);
+
+        expect(axios.post).toHaveBeenCalledTimes(2);
+        expect(failures.map(({ channel, error }) => [channel.type, error.message])).toEqual([
+            ['teams', 'Request failed with status code 404'],
+            ['pager', 'Unsupported notification channel: pager']
+        ]);
+    });
+
+    test('should reject adapters that cannot render or are registered twice', () => {
+        expect(() => registry.registerChannel({ type: 'pager' }))
+            .toThrow('Notification channel pager has no render function');
+        expect(() => registry.registerChannel({ type: 'slack', render: () => ({}) }))
+            .toThrow('Notification channel slack is already registered');
+    });
+});
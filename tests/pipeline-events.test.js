@@ -0,0 +1,110 @@
+const {
+    parseEvent,
+    listActionExecutions,
+    stageDurations,
+    describeExecution,
+    formatDuration
+} = require('../src/lambda/notification-handler/pipeline-events');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+const actionExecution = (stageName, actionName, status, startTime, lastUpdateTime, executionResult) => ({
+    stageName,
+    actionName,
+    status,
+    startTime,
+    lastUpdateTime,
+    output: executionResult ? { executionResult } : undefined
+});
+
+describe('Pipeline events', () => {
+    test('should parse pipeline, stage and action state changes', () => {
+        expect(parseEvent({
+            detail: { pipeline: 'app', 'execution-id': 'exec-1', state: 'SUCCEEDED' }
+        })).toMatchObject({ level: 'pipeline', pipelineName: 'app', state: 'SUCCEEDED', stage: null });
+
+        expect(parseEvent({
+            'detail-type': 'CodePipeline Stage Execution State Change',
+            detail: { pipeline: 'app', 'execution-id': 'exec-1', stage: 'Build', state: 'STARTED' }
+        })).toMatchObject({ level: 'stage', stage: 'Build', action: null });
+
+        expect(parseEvent({
+            'detail-type': 'CodePipeline Action Execution State Change',
+            detail: {
+                pipeline: 'app',
+                'execution-id': 'exec-1',
+                stage: 'Build',
+                action: 'BuildAction',
+                state: 'FAILED',
+                'execution-result': { 'external-execution-url': 'https://build/1' }
+            }
+        })).toMatchObject({
+            level: 'action',
+            action: 'BuildAction',
+            externalExecution: { id: null, url: 'https://build/1', summary: null }
+        });
+    });
+
+    test('should read every page of action executions in start order', async () => {
+        const codepipeline = {
+            listActionExecutions: jest.fn()
+                .mockReturnValueOnce(awsResponse({
+                    actionExecutionDetails: [
+                        actionExecution('Build', 'BuildAction', 'Succeeded', '2026-01-01T00:01:00Z')
+                    ],
+                    nextToken: 'page-2'
+                }))
+                .mockReturnValueOnce(awsResponse({
+                    actionExecutionDetails: [
+                        actionExecution('Source', 'SourceAction', 'Succeeded', '2026-01-01T00:00:00Z')
+                    ]
+                }))
+        };
+
+        const executions = await listActionExecutions(codepipeline, 'app', 'exec-1');
+
+        expect(executions.map((execution) => execution.stageName)).toEqual(['Source', 'Build']);
+        expect(codepipeline.listActionExecutions).toHaveBeenLastCalledWith({
+            pipelineName: 'app',
+            filter: { pipelineExecutionId: 'exec-1' },
+            nextToken: 'page-2'
+        });
+    });
+
+    test('should time each stage from its first action starting to its last action finishing', () => {
+        expect(stageDurations([
+            actionExecution('Deploy', 'Staging', 'Succeeded', '2026-01-01T00:00:00Z', '2026-01-01T00:00:30Z'),
+            actionExecution('Deploy', 'Production', 'Failed', '2026-01-01T00:00:10Z', '2026-01-01T00:01:40Z')
+        ])).toEqual([{ stage: 'Deploy', status: 'Failed', durationMs: 100000 }]);
+    });
+
+    test('should find the failed action of a failed pipeline execution', async () => {
+        const failedBuild = actionExecution('Build', 'BuildAction', 'Failed', '2026-01-01T00:00:05Z',
+            '2026-01-01T00:00:50Z', { externalExecutionId: 'build:1', externalExecutionUrl: 'https://build/1' });
+        const codepipeline = {
+            listActionExecutions: jest.fn(() => awsResponse({
+                actionExecutionDetails: [
+                    actionExecution('Source', 'Checkout', 'Succeeded', '2026-01-01T00:00:00Z', '2026-01-01T00:00:05Z'),
+                    { ...failedBuild, input: { actionTypeId: { category: 'Build', provider: 'CodeBuild' } } }
+                ]
+            }))
+        };
+
+        const described = await describeExecution(codepipeline, parseEvent({
+            detail: { pipeline: 'app', 'execution-id': 'exec-1', state: 'FAILED' }
+        }));
+
+        expect(described.failedAction).toEqual({
+            stage: 'Build',
+            action: 'BuildAction',
+            externalExecution: { id: 'build:1', url: 'https://build/1', summary: null }
+        });
+        expect(described.stageDurations.map(({ durationMs }) => durationMs)).toEqual([5000, 45000]);
+        expect(described.durationMs).toBe(50000);
+        expect(described.buildExecution).toEqual({ id: 'build:1', url: 'https://build/1', summary: null });
+    });
+
+    test('should format durations for people', () => {
+        expect([45000, 184000, 3720000].map(formatDuration)).toEqual(['45s', '3m 4s', '1h 2m']);
+    });
+});
@@ -0,0 +1,108 @@
+const { Readable } = require('stream');
+const {
+    artifactKey,
+    recordRelease,
+    findRelease,
+    loadPromotedArtifact
+} = require('../src/lambda/deployment-orchestrator/promotion');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+// An S3 client serving objects from memory, for reading promoted artifacts back
+function createS3(objects = {}) {
+    return {
+        copyObject: jest.fn(() => awsResponse({})),
+        getObject: jest.fn((params) => ({
+            promise: async () => readMockRange(objects[params.Key], params.Range),
+            createReadStream: () => Readable.from([readMockRange(objects[params.Key], params.Range).Body])
+        }))
+    };
+}
+
+// Pages of releases, newest first, as a query on the history table returns them
+function createDb(pages = [[]]) {
+    return {
+        put: jest.fn(() => awsResponse({})),
+        query: jest.fn((params) => {
+            const index = params.ExclusiveStartKey ? params.ExclusiveStartKey.page : 0;
+            return awsResponse({
+                Items: pages[index],
+                LastEvaluatedKey: index + 1 < pages.length ? { page: index + 1 } : undefined
+            });
+        })
+    };
+}
+
+const hashOf = (buffer) => require('crypto').createHash('sha256').update(buffer).digest('base64');
+
+describe('Artifact promotion', () => {
+    const zip = createMockZip({ 'index.js': 'exports.handler = async () => ({ statusCode: 200 });' });
+    const artifactHash = hashOf(zip);
+    const release = (overrides) => ({
+        artifactHash,
+        artifactBucket: 'promotions',
+        artifactKey: artifactKey(artifactHash),
+        commitSha: 'abc123',
+        ...overrides
+    });
+
+    test('should keep a verified artifact under its hash and record the release', async () => {
+        const s3 = createS3();
+        const db = createDb();
+        const artifact = createMockArtifact({ 'index.js': 'exports.handler = async () => ({ statusCode: 200 });' });
+
+        const item = await recordRelease(s3, db, { tableName: 'history', bucketName: 'promotions' }, artifact, {
+            environment: 'staging',
+            jobId: 'job-1',
+            commitSha: 'abc123',
+            deploymentType: 'lambda'
+        });
+
+        expect(item.artifactKey).toMatch(/^artifacts\/[0-9a-f]{64}\.zip$/);
+        expect(s3.copyObject).toHaveBeenCalledWith({
+            Bucket: 'promotions',
+            Key: item.artifactKey,
+            CopySource: 'artifact-bucket/BuildArtifact.zip'
+        });
+        expect(db.put).toHaveBeenCalledWith({ TableName: 'history', Item: item });
+        expect(item).toMatchObject({
+            pk: 'release#staging',
+            releaseEnvironment: 'staging',
+            artifactBucket: 'promotions',
+            commitSha: 'abc123',
+            promotedFrom: null
+        });
+        expect(item.sk).toMatch(/#job-1$/);
+    });
+
+    test('should find the newest release, or the newest one of a given hash', async () => {
+        const db = createDb([
+            [release({ artifactHash: 'newest', jobId: 'job-3' })],
+            [release({ jobId: 'job-2' }), release({ jobId: 'job-1' })]
+        ]);
+
+        expect((await findRelease(db, 'history', 'staging')).jobId).toBe('job-3');
+        expect((await findRelease(db, 'history', 'staging', artifactHash)).jobId).toBe('job-2');
+        expect(await findRelease(db, 'history', 'staging', 'never-passed')).toBeNull();
+    });
+
+    test('should load the artifact that passed in the lower environment', async () => {
+        const s3 = createS3({ [artifactKey(artifactHash)]: zip });
+
+        const promoted = await loadPromotedArtifact(s3, createDb([[release()]]), 'history', 'staging');
+
+        expect(promoted.release.commitSha).toBe('abc123');
+        expect(promoted.artifact.location).toEqual({ bucketName: 'promotions', objectKey: artifactKey(artifactHash) });
+    });
+
+    test('should refuse to promote what has not passed or has changed since', async () => {
+        await expect(loadPromotedArtifact(createS3(), createDb(), 'history', 'staging'))
+            .rejects.toThrow('No artifact has passed in staging yet, nothing to promote');
+        await expect(loadPromotedArtifact(createS3(), createDb([[release()]]), 'history', 'staging', 'other-hash'))
+            .rejects.toThrow('Artifact other-hash has not passed in staging, refusing to promote it');
+
+        const tampered = createS3({ [artifactKey(artifactHash)]: createMockZip({ 'index.js': 'changed' }) });
+        await expect(loadPromotedArtifact(tampered, createDb([[release()]]), 'history', 'staging'))
+            .rejects.toThrow(`Artifact ${artifactHash} has changed since it passed in staging`);
+    });
+});
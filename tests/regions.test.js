@@ -0,0 +1,83 @@
+const {
+    checkRegions,
+    qualifyTarget,
+    configForRegion,
+    deployToRegions
+} = require('../src/lambda/deployment-orchestrator/regions');
+
+const regions = ['us-east-1', 'eu-west-1', 'ap-southeast-2'];
+
+const createState = () => Object.fromEntries(regions.map((region) => [region, {}]));
+
+describe('Regional deployments', () => {
+    test('should deploy one region at a time and stop at the first failure', async () => {
+        const state = createState();
+        const deployRegion = jest.fn(async (region) => {
+            if (region === 'eu-west-1') {
+                throw new Error('Lambda deployment failed: throttled');
+            }
+            return { type: 'lambda', version: '2' };
+        });
+
+        const outcome = await deployToRegions(regions, 'sequential', state, deployRegion);
+
+        expect(deployRegion.mock.calls.map(([region]) => region)).toEqual(['us-east-1', 'eu-west-1']);
+        expect(outcome).toEqual({
+            results: { 'us-east-1': { type: 'lambda', version: '2' } },
+            failures: [{ region: 'eu-west-1', error: 'Lambda deployment failed: throttled' }],
+            skipped: ['ap-southeast-2']
+        });
+    });
+
+    test('should resume sequential deployments with the region that was in progress', async () => {
+        const state = createState();
+        const deployRegion = jest.fn(async () => ({ type: 'lambda', version: '2' }));
+        deployRegion
+            .mockResolvedValueOnce({ type: 'lambda', version: '2' })
+            .mockResolvedValueOnce({ inProgress: true, summary: 'Shifting live of orders to version 2' });
+
+        expect(await deployToRegions(regions, 'sequential', state, deployRegion))
+            .toEqual({ inProgress: true, summary: 'eu-west-1: Shifting live of orders to version 2' });
+
+        const outcome = await deployToRegions(regions, 'sequential', state, deployRegion);
+
+        expect(deployRegion.mock.calls.map(([region]) => region))
+            .toEqual(['us-east-1', 'eu-west-1', 'eu-west-1', 'ap-southeast-2']);
+        expect(Object.keys(outcome.results)).toEqual(regions);
+    });
+
+    test('should let parallel regions finish before reporting a failure', async () => {
+        const state = createState();
+        const deployRegion = jest.fn(async (region) => {
+            if (region === 'eu-west-1') {
+                throw new Error('Lambda deployment failed: throttled');
+            }
+            return region === 'ap-southeast-2' && deployRegion.mock.calls.length <= 3
+                ? { inProgress: true, summary: 'Verifying version 2 of orders' }
+                : { type: 'lambda', version: '2' };
+        });
+
+        expect(await deployToRegions(regions, 'parallel', state, deployRegion))
+            .toEqual({ inProgress: true, summary: 'ap-southeast-2: Verifying version 2 of orders' });
+
+        const outcome = await deployToRegions(regions, 'parallel', state, deployRegion);
+
+        expect(deployRegion).toHaveBeenCalledTimes(4);
+        expect(Object.keys(outcome.results)).toEqual(['us-east-1', 'ap-southeast-2']);
+        expect(outcome.failures).toEqual([{ region: 'eu-west-1', error: 'Lambda deployment failed: throttled' }]);
+    });
+
+    test('should name targets and staging buckets by region', () => {
+        expect(qualifyTarget('lambda:orders', 'us-east-1')).toBe('lambda:orders');
+        expect(qualifyTarget('lambda:orders', 'eu-west-1')).toBe('lambda:orders@eu-west-1');
+        expect(configForRegion({ region: 'us-east-1', stagingBucket: 'artifacts-{region}' }, 'eu-west-1'))
+            .toEqual({ region: 'eu-west-1', stagingBucket: 'artifacts-eu-west-1' });
+    });
+
+    test('should validate region lists', () => {
+        expect(checkRegions(['us-east-1', 'us-gov-west-1'])).toBeNull();
+        expect(checkRegions([])).toBe('must list at least one region');
+        expect(checkRegions(['us-east-1', 'europe'])).toBe('"europe" is not a region name');
+        expect(checkRegions(['eu-west-1', 'eu-west-1'])).toBe('"eu-west-1" is listed more than once');
+    });
+});
@@ -0,0 +1,91 @@
+const {
+    classifyError,
+    backoffDelay,
+    withRetry,
+    retryingClient
+} = require('../src/lambda/deployment-orchestrator/retry');
+
+const awsError = (code, message, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+const policy = { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000 };
+
+describe('Retry policy', () => {
+    beforeEach(() => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should classify errors worth another attempt', () => {
+        expect(classifyError(awsError('TooManyRequestsException', 'Rate exceeded'))).toBe('throttling');
+        expect(classifyError(awsError('ResourceConflictException', 'An update is in progress for resource')))
+            .toBe('conflict');
+        expect(classifyError(awsError('ServiceUnavailableException', 'Try again', { statusCode: 503 })))
+            .toBe('transient');
+        expect(classifyError(awsError('ResourceConflictException', 'Alias already exists'))).toBeNull();
+        expect(classifyError(awsError('ConditionalCheckFailedException', 'The conditional request failed')))
+            .toBeNull();
+    });
+
+    test('should back off exponentially with full jitter up to the cap', () => {
+        Math.random.mockReturnValue(0.5);
+
+        expect([1, 2, 3, 4, 5].map((attempt) => backoffDelay(attempt, policy))).toEqual([50, 100, 200, 400, 500]);
+    });
+
+    test('should retry until the call succeeds and log every failed attempt', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce(awsError('ResourceConflictException', 'An update is in progress'))
+            .mockResolvedValueOnce({ Version: '2' });
+
+        expect(await withRetry(send, 'lambda.publishVersion', policy)).toEqual({ Version: '2' });
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(console.log).toHaveBeenCalledWith(
+            'lambda.publishVersion failed on attempt 1 of 3 ' +
+            '(conflict: ResourceConflictException An update is in progress), retrying in 0 ms'
+        );
+    });
+
+    test('should give up after the last attempt and fail at once on other errors', async () => {
+        const throttled = jest.fn().mockRejectedValue(awsError('ThrottlingException', 'Rate exceeded'));
+        await expect(withRetry(throttled, 'cloudwatch.describeAlarms', policy)).rejects.toThrow('Rate exceeded');
+        expect(throttled).toHaveBeenCalledTimes(3);
+
+        const invalid = jest.fn().mockRejectedValue(awsError('InvalidParameterValueException', 'Bad handler'));
+        await expect(withRetry(invalid, 'lambda.updateFunctionConfiguration', policy)).rejects.toThrow('Bad handler');
+        expect(invalid).toHaveBeenCalledTimes(1);
+    });
+
+    test('should resend requests from a wrapped client', async () => {
+        const promise = jest.fn()
+            .mockRejectedValueOnce(awsError('Throttling', 'Rate exceeded'))
+            .mockResolvedValueOnce({ Parameter: { Value: 'ok' } });
+        const ssm = { getParameter: jest.fn(() => ({ promise, createReadStream: () => 'stream' })) };
+
+        const client = retryingClient(ssm, 'ssm', policy);
+
+        expect(await client.getParameter({ Name: '/app/key' }).promise()).toEqual({ Parameter: { Value: 'ok' } });
+        expect(ssm.getParameter).toHaveBeenCalledTimes(2);
+        expect(ssm.getParameter).toHaveBeenLastCalledWith({ Name: '/app/key' });
+        expect(client.getParameter({ Name: '/app/key' }).createReadStream()).toBe('stream');
+    });
+
+    test('should send operations that are not idempotent only once', async () => {
+        const promise = jest.fn().mockRejectedValue(awsError('TimeoutError', 'Connection timed out'));
+        const lambda = {
+            publishVersion: jest.fn(() => ({ promise })),
+            getAlias: jest.fn(() => ({ promise }))
+        };
+
+        const client = retryingClient(lambda, 'lambda', policy);
+
+        await expect(client.publishVersion({ FunctionName: 'app' }).promise()).rejects.toThrow('Connection timed out');
+        expect(lambda.publishVersion).toHaveBeenCalledTimes(1);
+        await expect(client.getAlias({ FunctionName: 'app', Name: 'live' }).promise())
+            .rejects.toThrow('Connection timed out');
+        expect(lambda.getAlias).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadRoutingConfig,
+    compileRoutes,
+    routeNotification,
+    describePipelineContext
+} = require('../src/lambda/notification-handler/routing');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+const env = { SLACK_WEBHOOK_URL: 'https://hooks.slack.com/test' };
+
+const notifications = {
+    slack: {
+        enabled: true,
+        webhookUrl: 'SLACK_WEBHOOK_URL',
+        channel: '#deployments',
+        events: ['started', 'succeeded', 'failed']
+    },
+    email: {
+        enabled: true,
+        from: 'pipelines@company.com',
+        recipients: ['devops@company.com'],
+        cc: ['managers@company.com']
+    },
+    channels: {
+        incidents: { type: 'slack', url: 'SLACK_WEBHOOK_URL', channel: '#incidents' },
+        releases: { type: 'teams', url: 'https://example.webhook.office.com/releases' }
+    },
+    rules: [
+        {
+            match: { state: 'FAILED', environment: 'production' },
+            channels: ['incidents'],
+            recipients: 'oncall@company.com'
+        },
+        { match: { branch: 'release/*', level: 'pipeline' }, channels: ['releases'] }
+    ]
+};
+
+const context = (overrides) => ({
+    pipeline: 'app',
+    state: 'SUCCEEDED',
+    stage: null,
+    level: 'pipeline',
+    branch: 'main',
+    environment: 'staging',
+    ...overrides
+});
+
+const routedTo = (routes, overrides) => routeNotification(routes, context(overrides))
+    .map((channel) => channel.channel || channel.to || channel.name);
+
+describe('Notification routing', () => {
+    test('should read the notifications section from a file or S3', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+        fs.writeFileSync(path.join(directory, 'pipeline-config.json'), JSON.stringify({ notifications }));
+        const s3 = {
+            getObject: jest.fn(() => awsResponse({ Body: Buffer.from(JSON.stringify({ notifications })) }))
+        };
+
+        expect(await loadRoutingConfig(s3, './pipeline-config.json', directory)).toEqual(notifications);
+        expect(await loadRoutingConfig(s3, 's3://config-bucket/pipelines/app.json')).toEqual(notifications);
+        expect(s3.getObject).toHaveBeenCalledWith({ Bucket: 'config-bucket', Key: 'pipelines/app.json' });
+
+        fs.writeFileSync(path.join(directory, 'broken.json'), '{');
+        await expect(loadRoutingConfig(s3, 'broken.json', directory))
+            .rejects.toThrow('Notification config broken.json is not valid JSON');
+    });
+
+    test('should resolve channel settings from the environment', () => {
+        const routes = compileRoutes(notifications, env);
+
+        expect(routes.channels.slack).toEqual({
+            type: 'slack',
+            name: 'slack',
+            url: 'https://hooks.slack.com/test',
+            channel: '#deployments'
+        });
+        expect(routes.channels.releases.url).toBe('https://example.webhook.office.com/releases');
+        expect(() => compileRoutes(notifications, {}))
+            .toThrow('Notification channel incidents: SLACK_WEBHOOK_URL is not set');
+    });
+
+    test('should send every notification to the channels and recipients of each matching rule', () => {
+        const routes = compileRoutes(notifications, env);
+
+        expect(routedTo(routes, {})).toEqual(['#deployments', ['devops@company.com']]);
+        expect(routedTo(routes, { state: 'FAILED', environment: 'production' })).toEqual([
+            '#deployments',
+            ['devops@company.com'],
+            '#incidents',
+            ['oncall@company.com']
+        ]);
+        expect(routeNotification(routes, context({ state: 'FAILED', environment: 'production' }))).toEqual(
+            expect.arrayContaining([
+                {
+                    type: 'email',
+                    name: 'email',
+                    from: 'pipelines@company.com',
+                    to: ['devops@company.com'],
+                    cc: ['managers@company.com']
+                },
+                { type: 'email', name: 'recipients', from: 'pipelines@company.com', to: ['oncall@company.com'] }
+            ]));
+        expect(routedTo(routes, { state: 'CANCELED', branch: 'release/1.4' })).toEqual([
+            ['devops@company.com'],
+            'releases'
+        ]);
+        expect(routedTo(routes, { state: 'CANCELED', branch: 'release/1.4', level: 'stage' }))
+            .toEqual([['devops@company.com']]);
+    });
+
+    test('should post a failure of the shipped config once per channel, however many levels report it', () => {
+        const shipped = require('../pipeline-config.json').notifications;
+        const routes = compileRoutes({ ...shipped, email: { ...shipped.email, enabled: true } }, env);
+        const failure = { state: 'FAILED', environment: 'production' };
+
+        expect(routedTo(routes, { ...failure, level: 'pipeline' })).toEqual(['#deployments', ['devops@company.com']]);
+        expect(routedTo(routes, { ...failure, level: 'stage', stage: 'Deploy' })).toEqual([]);
+        expect(routedTo(routes, { ...failure, level: 'action', stage: 'Deploy' }))
+            .toEqual(['#incidents', ['oncall@company.com']]);
+        expect(routedTo(routes, { state: 'FAILED', environment: 'staging', level: 'action', stage: 'Deploy' }))
+            .toEqual([]);
+        expect(routedTo(routes, { state: 'STARTED', level: 'stage', stage: 'Build' })).toEqual([]);
+    });
+
+    test('should reject rules it cannot follow', () => {
+        expect(() => compileRoutes({ rules: [{ match: { repository: 'app' }, channels: [] }] }, env))
+            .toThrow('Notification rule 1 cannot match on repository');
+        expect(() => compileRoutes({ rules: [{ channels: ['pager'] }] }, env))
+            .toThrow('Notification rule 1 sends to unknown channel pager');
+    });
+
+    test('should find the branch and environment of a pipeline', async () => {
+        const sourceAction = {
+            name: 'Checkout',
+            actionTypeId: { category: 'Source' },
+            configuration: { Branch: 'main' }
+        };
+        const deployAction = (name, environment) => ({
+            name,
+            actionTypeId: { category: 'Invoke' },
+            configuration: { UserParameters: JSON.stringify({ environment }) }
+        });
+        const codepipeline = {
+            getPipeline: jest.fn(() => awsResponse({
+                pipeline: {
+                    stages: [
+                        { name: 'Source', actions: [sourceAction] },
+                        { name: 'Staging', actions: [deployAction('DeployStaging', 'staging')] },
+                        { name: 'Production', actions: [deployAction('DeployProduction', 'production')] }
+                    ]
+                }
+            }))
+        };
+
+        expect(await describePipelineContext(codepipeline, 'app', null))
+            .toEqual({ branch: 'main', environment: 'staging' });
+        expect(await describePipelineContext(codepipeline, 'app', 'Production'))
+            .toEqual({ branch: 'main', environment: 'production' });
+        const variables = [{ name: 'ENVIRONMENT', resolvedValue: 'qa' }];
+        expect(await describePipelineContext(codepipeline, 'app', 'Staging', variables))
+            .toEqual({ branch: 'main', environment: 'qa' });
+        expect(codepipeline.getPipeline).toHaveBeenCalledWith({ name: 'app' });
+    });
+});
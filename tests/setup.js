@@ -67,4 +67,36 @@ global.createMockPipelineEvent = (overrides = {}) => ({
     state: 'SUCCEEDED',
     ...overrides
   }
-});
\ No newline at end of file
+});
+
+// Serves an S3 ranged GET ("bytes=a-b" or the suffix form "bytes=-n") from an in-memory object
+global.readMockRange = (body, range) => {
+  const [, from, to] = /^bytes=(\d*)-(\d*)$/.exec(range || `bytes=0-${body.length - 1}`);
+  const start = from === '' ? Math.max(body.length - Number(to), 0) : Number(from);
+  const end = from === '' || to === '' ? body.length - 1 : Math.min(Number(to), body.length - 1);
+
+  return {
+    Body: body.subarray(start, end + 1),
+    ContentRange: `bytes ${start}-${end}/${body.length}`
+  };
+};
+
+global.createMockZip = (files) => {
+  const AdmZip = require('adm-zip');
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, contents]) => zip.addFile(name, Buffer.from(contents)));
+  return zip.toBuffer();
+};
+
+// A build artifact backed by an in-memory zip instead of S3, in the shape createS3Artifact returns
+global.createMockArtifact = (files, name = 'BuildArtifact') => {
+  const { Readable } = require('stream');
+  const body = global.createMockZip(files);
+
+  return {
+    name,
+    location: { bucketName: 'artifact-bucket', objectKey: `${name}.zip` },
+    read: jest.fn(async (range) => global.readMockRange(body, `bytes=${range}`)),
+    stream: (range) => Readable.from([global.readMockRange(body, `bytes=${range}`).Body])
+  };
+};
@@ -0,0 +1,108 @@
+const {
+    checkSmokeTests,
+    runSmokeTests,
+    formatReport
+} = require('../src/lambda/deployment-orchestrator/smoke-tests');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+const createLambda = (payload, extra = {}) => ({
+    invoke: jest.fn(() => awsResponse({ StatusCode: 200, Payload: JSON.stringify(payload), ...extra }))
+});
+
+const httpResponse = (status, body) => ({ status, text: async () => JSON.stringify(body) });
+
+describe('Smoke tests', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('should invoke the deployed alias and match fields of a JSON body', async () => {
+        const lambda = createLambda({ statusCode: 200, body: JSON.stringify({ message: 'Hello from v2' }) });
+
+        const report = await runSmokeTests({ lambda }, [{
+            name: 'greets',
+            type: 'invoke',
+            payload: { path: '/hello' },
+            expect: { statusCode: 200, match: { 'body.message': '^Hello' } }
+        }], { functionName: 'orders-api', qualifier: 'live' });
+
+        expect(report).toMatchObject({
+            passed: 1,
+            failed: 0,
+            results: [{ name: 'greets', passed: true, failures: [] }]
+        });
+        expect(lambda.invoke).toHaveBeenCalledWith({
+            FunctionName: 'orders-api',
+            Qualifier: 'live',
+            InvocationType: 'RequestResponse',
+            Payload: JSON.stringify({ path: '/hello' })
+        });
+    });
+
+    test('should report every expectation an invocation misses', async () => {
+        const lambda = createLambda({ statusCode: 500, body: JSON.stringify({ message: 'Internal error' }) });
+
+        const report = await runSmokeTests({ lambda }, [{
+            name: 'greets',
+            type: 'invoke',
+            expect: { statusCode: 200, match: { 'body.message': '^Hello', 'body.version': 2 } }
+        }], { functionName: 'orders-api' });
+
+        expect(report.failed).toBe(1);
+        expect(formatReport(report)).toBe(
+            '1 of 1 smoke tests failed: greets (statusCode: expected 200, got 500; ' +
+            'body.message: expected "^Hello", got "Internal error"; body.version: expected 2, got undefined)'
+        );
+    });
+
+    test('should fail when the function raises an error', async () => {
+        const lambda = createLambda({ errorMessage: 'boom' }, { FunctionError: 'Unhandled' });
+
+        const report = await runSmokeTests({ lambda }, [{ type: 'invoke' }], { functionName: 'orders-api' });
+
+        expect(report.results[0]).toMatchObject({
+            name: 'invoke test 1',
+            passed: false,
+            failures: ['function raised Unhandled: {"errorMessage":"boom"}']
+        });
+    });
+
+    test('should check the status and latency of an HTTP request', async () => {
+        global.fetch = jest.fn(async () => httpResponse(200, { status: 'ok' }));
+        const now = jest.spyOn(Date, 'now')
+            .mockReturnValueOnce(0).mockReturnValueOnce(812).mockReturnValue(812);
+
+        const report = await runSmokeTests({}, [{
+            name: 'homepage',
+            type: 'http',
+            url: 'https://example.com/health',
+            expect: { statusCode: 200, maxLatencyMs: 500, match: { 'body.status': 'ok' } }
+        }]);
+        now.mockRestore();
+
+        expect(global.fetch)
+            .toHaveBeenCalledWith('https://example.com/health', expect.objectContaining({ method: 'GET' }));
+        expect(report.results[0].failures).toEqual(['took 812 ms, limit 500 ms']);
+    });
+
+    test('should report requests that get no response', async () => {
+        global.fetch = jest.fn(async () => {
+            throw Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+        });
+
+        const report = await runSmokeTests({}, [
+            { name: 'homepage', type: 'http', url: 'https://example.com/', timeoutMs: 2000 }
+        ]);
+
+        expect(report.results[0].failures).toEqual(['no response within 2000 ms']);
+    });
+
+    test('should validate declared tests', () => {
+        expect(checkSmokeTests([{ name: 'homepage', type: 'http', url: 'https://example.com/' }])).toBeNull();
+        expect(checkSmokeTests([{ type: 'ping' }])).toBe('entry 0 must have a type of invoke or http');
+        expect(checkSmokeTests([{ name: 'homepage', type: 'http' }])).toBe('"homepage" needs a url');
+    });
+});
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const {
+    contentTypeFor,
+    cacheControlFor,
+    planStaticSite,
+    syncStaticSite
+} = require('../src/lambda/deployment-orchestrator/static-site');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+const createClients = (bucketContents) => ({
+    s3: {
+        listObjectsV2: jest.fn(() => awsResponse({
+            Contents: Object.entries(bucketContents).map(([Key, body]) => ({ Key, ETag: `"${md5(body)}"` })),
+            IsTruncated: false
+        })),
+        putObject: jest.fn(() => awsResponse({})),
+        deleteObjects: jest.fn(() => awsResponse({}))
+    },
+    cloudfront: {
+        createInvalidation: jest.fn(() => awsResponse({ Invalidation: { Id: 'I123' } }))
+    }
+});
+
+describe('Static site deployment', () => {
+    test('should pick content types and cache-control rules per file', () => {
+        const rules = [
+            { pattern: '*.html', value: 'no-cache' },
+            { pattern: 'assets/**', value: 'public, max-age=31536000, immutable' }
+        ];
+
+        expect(contentTypeFor('index.html')).toBe('text/html; charset=utf-8');
+        expect(contentTypeFor('assets/app.js')).toBe('application/javascript; charset=utf-8');
+        expect(contentTypeFor('assets/blob')).toBe('application/octet-stream');
+        expect(cacheControlFor('docs/index.html', rules)).toBe('no-cache');
+        expect(cacheControlFor('assets/logo.png', rules)).toBe('public, max-age=31536000, immutable');
+        expect(cacheControlFor('robots.txt', rules)).toBeUndefined();
+    });
+
+    test('should upload changed files, delete stale ones and invalidate them', async () => {
+        const clients = createClients({
+            'index.html': '<h1>old</h1>',
+            'assets/app.js': 'console.log(1);',
+            'old.html': 'gone',
+            'deployments/1700000000000/app.zip': 'archive'
+        });
+        const artifact = createMockArtifact({
+            'dist/index.html': '<h1>new</h1>',
+            'dist/assets/app.js': 'console.log(1);',
+            'package.json': '{}'
+        });
+
+        const result = await syncStaticSite(clients, artifact, {
+            bucketName: 'site-bucket',
+            sourceDirectory: 'dist',
+            cacheControl: [{ pattern: '*.html', value: 'no-cache' }],
+            deleteStale: true,
+            cloudFrontDistributionId: 'E123'
+        });
+
+        expect(clients.s3.putObject).toHaveBeenCalledTimes(1);
+        expect(clients.s3.putObject).toHaveBeenCalledWith({
+            Bucket: 'site-bucket',
+            Key: 'index.html',
+            Body: Buffer.from('<h1>new</h1>'),
+            ContentType: 'text/html; charset=utf-8',
+            CacheControl: 'no-cache'
+        });
+        expect(clients.s3.deleteObjects).toHaveBeenCalledWith({
+            Bucket: 'site-bucket',
+            Delete: { Objects: [{ Key: 'old.html' }], Quiet: true }
+        });
+        expect(clients.cloudfront.createInvalidation.mock.calls[0][0].InvalidationBatch.Paths)
+            .toEqual({ Quantity: 3, Items: ['/index.html', '/', '/old.html'] });
+        expect(result.uploaded).toEqual(['index.html']);
+        expect(result.deleted).toEqual(['old.html']);
+    });
+
+    test('should keep stale objects unless deleteStale is set', async () => {
+        const clients = createClients({ 'old.html': 'gone' });
+        const artifact = createMockArtifact({ 'index.html': '<h1>new</h1>' });
+
+        await syncStaticSite(clients, artifact, { bucketName: 'site-bucket' });
+
+        expect(clients.s3.deleteObjects).not.toHaveBeenCalled();
+        expect(clients.cloudfront.createInvalidation).not.toHaveBeenCalled();
+    });
+
+    test('should invalidate the directory paths of changed index documents', async () => {
+        const clients = createClients({ 'docs/index.html': '<h1>old</h1>' });
+        const artifact = createMockArtifact({ 'docs/index.html': '<h1>new</h1>', 'docs/guide.html': '<h1>guide</h1>' });
+
+        await syncStaticSite(clients, artifact, { bucketName: 'site-bucket', cloudFrontDistributionId: 'E123' });
+
+        expect(clients.cloudfront.createInvalidation.mock.calls[0][0].InvalidationBatch.Paths.Items.sort())
+            .toEqual(['/docs/', '/docs/guide.html', '/docs/index.html']);
+    });
+
+    test('should only list and delete objects under the site prefix', async () => {
+        const clients = createClients({ 'site/old.html': 'gone', 'site/deployments/1700000000000/app.zip': 'archive' });
+        const artifact = createMockArtifact({ 'index.html': '<h1>new</h1>' });
+
+        const result = await syncStaticSite(clients, artifact, {
+            bucketName: 'site-bucket',
+            prefix: 'site',
+            deleteStale: true
+        });
+
+        expect(clients.s3.listObjectsV2).toHaveBeenCalledWith(expect.objectContaining({ Prefix: 'site/' }));
+        expect(result.uploaded).toEqual(['site/index.html']);
+        expect(result.deleted).toEqual(['site/old.html']);
+    });
+
+    test('should plan uploads and deletions without touching the bucket', async () => {
+        const clients = createClients({ 'index.html': '<h1>same</h1>', 'old.html': 'gone' });
+        const artifact = createMockArtifact({ 'index.html': '<h1>same</h1>', 'app.js': 'run()' });
+
+        const plan = await planStaticSite(clients.s3, artifact, { bucketName: 'site-bucket', deleteStale: true });
+
+        expect(plan).toEqual({ bucket: 'site-bucket', filesTotal: 2, upload: ['app.js'], delete: ['old.html'] });
+        expect(clients.s3.putObject).not.toHaveBeenCalled();
+        expect(clients.s3.deleteObjects).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,81 @@
+const {
+    registerTarget,
+    getTarget,
+    listTargets,
+    loadTargetModules,
+    runTarget
+} = require('../src/lambda/deployment-orchestrator/targets');
+const { loadDeploymentConfig } = require('../src/lambda/deployment-orchestrator/config');
+
+jest.mock('team-step-functions-target', () => ({
+    type: 'step-functions',
+    schema: { stateMachineArn: { type: 'string', required: true } },
+    plan: (config) => ({ targets: [`step-functions:${config.stateMachineArn}`] }),
+    deploy: async () => ({ type: 'step-functions' })
+}), { virtual: true });
+
+const jobDataWith = (userParameters) => ({
+    actionConfiguration: { configuration: { UserParameters: JSON.stringify(userParameters) } }
+});
+
+describe('Deployment target registry', () => {
+    test('should register the built-in targets', async () => {
+        expect(listTargets().map((target) => target.type)).toEqual(['lambda', 'ecs', 's3']);
+        expect(await getTarget('ecs').plan({ serviceName: 'web' }, {})).toEqual({ targets: ['ecs:default/web'] });
+        expect(() => getTarget('beanstalk')).toThrow('Unsupported deployment type: beanstalk');
+    });
+
+    test('should reject incomplete and duplicate targets', () => {
+        expect(() => registerTarget({ type: 'batch', plan: () => ({ targets: [] }) }))
+            .toThrow('Deployment target batch has no deploy function');
+        expect(() => registerTarget({ ...getTarget('s3') }))
+            .toThrow('Deployment target s3 is already registered');
+    });
+
+    test('should load team targets and validate their settings', () => {
+        loadTargetModules(['team-step-functions-target']);
+
+        const config = loadDeploymentConfig(jobDataWith({
+            deploymentType: 'step-functions',
+            stateMachineArn: 'arn:aws:states:us-east-1:123456789012:stateMachine:orders'
+        }), {});
+        expect(config.deploymentType).toBe('step-functions');
+
+        expect(() => loadDeploymentConfig(jobDataWith({ deploymentType: 'step-functions' }), {}))
+            .toThrow('stateMachineArn: is required for step-functions deployments');
+        expect(() => loadDeploymentConfig(jobDataWith({ deploymentType: 'lambda', stateMachineArn: 'arn' }), {}))
+            .not.toThrow();
+    });
+});
+
+describe('Running a target', () => {
+    const createTarget = () => ({
+        type: 'test',
+        plan: () => ({ targets: ['test:app'] }),
+        deploy: jest.fn(async () => ({ type: 'test', version: '2' })),
+        verify: jest.fn(async () => null),
+        rollback: jest.fn(async () => 'restored version 1')
+    });
+
+    test('should deploy once and keep verifying across invocations', async () => {
+        const target = createTarget();
+        target.verify.mockResolvedValueOnce({ inProgress: true, summary: 'Verifying version 2' });
+        const context = { state: {} };
+
+        expect(await runTarget(target, {}, context)).toEqual({ inProgress: true, summary: 'Verifying version 2' });
+        expect(await runTarget(target, {}, context)).toEqual({ type: 'test', version: '2' });
+
+        expect(target.deploy).toHaveBeenCalledTimes(1);
+        expect(target.verify).toHaveBeenCalledTimes(2);
+        expect(target.rollback).not.toHaveBeenCalled();
+    });
+
+    test('should roll back and report it when verification fails', async () => {
+        const target = createTarget();
+        target.verify.mockRejectedValueOnce(new Error('Smoke test failed'));
+
+        await expect(runTarget(target, {}, { state: {} }))
+            .rejects.toThrow('Smoke test failed; restored version 1');
+        expect(target.rollback).toHaveBeenCalledWith({}, { state: expect.any(Object) }, expect.any(Error));
+    });
+});
@@ -0,0 +1,133 @@
+const {
+    parseStrategy,
+    planTrafficSteps,
+    shiftTraffic
+} = require('../src/lambda/deployment-orchestrator/traffic-shifting');
+
+const awsResponse = (value) => ({ promise: () => Promise.resolve(value) });
+
+const createLambdaClient = () => ({
+    createAlias: jest.fn(() => awsResponse({})),
+    updateAlias: jest.fn(() => awsResponse({}))
+});
+
+describe('Traffic shifting strategies', () => {
+    test('should parse canary and linear strategy names', () => {
+        expect(parseStrategy('Canary10Percent5Minutes'))
+            .toEqual({ type: 'canary', percentage: 10, intervalMinutes: 5 });
+        expect(parseStrategy('Linear25PercentEvery1Minute'))
+            .toEqual({ type: 'linear', percentage: 25, intervalMinutes: 1 });
+        expect(parseStrategy(undefined).type).toBe('allAtOnce');
+    });
+
+    test('should accept strategy objects and reject invalid ones', () => {
+        expect(parseStrategy({ type: 'Canary', percentage: 20, intervalMinutes: 10 }).percentage).toBe(20);
+        expect(() => parseStrategy({ type: 'canary', percentage: 100, intervalMinutes: 5 }))
+            .toThrow('between 1 and 99');
+        expect(() => parseStrategy('BlueGreen')).toThrow('Unsupported deployment strategy');
+    });
+
+    test('should plan linear steps up to full traffic', () => {
+        const steps = planTrafficSteps(parseStrategy('Linear30PercentEvery2Minutes'));
+
+        expect(steps.map((step) => step.weight)).toEqual([30, 60, 90, 100]);
+        expect(steps[0].bakeMs).toBe(120000);
+        expect(steps[3].bakeMs).toBe(0);
+    });
+});
+
+describe('shiftTraffic', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should create the alias when it does not exist yet', async () => {
+        const lambda = createLambdaClient();
+
+        const result = await shiftTraffic(lambda, {
+            functionName: 'app',
+            aliasName: 'live',
+            fromVersion: null,
+            toVersion: '1',
+            strategy: parseStrategy('Canary10Percent5Minutes')
+        });
+
+        expect(result.fromVersion).toBeNull();
+        expect(lambda.createAlias).toHaveBeenCalledWith({ FunctionName: 'app', Name: 'live', FunctionVersion: '1' });
+        expect(lambda.updateAlias).not.toHaveBeenCalled();
+    });
+
+    test('should route canary traffic through weighted alias updates', async () => {
+        jest.useFakeTimers();
+        const lambda = createLambdaClient();
+
+        const shifting = shiftTraffic(lambda, {
+            functionName: 'app',
+            aliasName: 'live',
+            fromVersion: '3',
+            toVersion: '4',
+            strategy: parseStrategy('Canary10Percent5Minutes')
+        });
+
+        await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+        const result = await shifting;
+
+        expect(result.fromVersion).toBe('3');
+        expect(lambda.updateAlias).toHaveBeenNthCalledWith(1, {
+            FunctionName: 'app',
+            Name: 'live',
+            FunctionVersion: '3',
+            RoutingConfig: { AdditionalVersionWeights: { 4: 0.1 } }
+        });
+        expect(lambda.updateAlias).toHaveBeenNthCalledWith(2, {
+            FunctionName: 'app',
+            Name: 'live',
+            FunctionVersion: '4',
+            RoutingConfig: { AdditionalVersionWeights: {} }
+        });
+    });
+
+    test('should stop shifting when a bake step fails', async () => {
+        const lambda = createLambdaClient();
+        const bake = jest.fn().mockRejectedValue(new Error('alarm'));
+
+        await expect(shiftTraffic(lambda, {
+            functionName: 'app',
+            aliasName: 'live',
+            fromVersion: '3',
+            toVersion: '4',
+            strategy: parseStrategy('Linear10PercentEvery1Minute'),
+            bake
+        })).rejects.toThrow('alarm');
+
+        expect(bake).toHaveBeenCalledWith({ weight: 10, bakeMs: 60000 }, 60000);
+        expect(lambda.updateAlias).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop when the time budget runs out and resume from the saved progress', async () => {
+        const lambda = createLambdaClient();
+        const progress = {};
+        const options = {
+            functionName: 'app',
+            aliasName: 'live',
+            fromVersion: '3',
+            toVersion: '4',
+            strategy: parseStrategy('Canary10Percent5Minutes'),
+            bake: jest.fn().mockResolvedValue(),
+            progress,
+            timeRemaining: () => 0
+        };
+
+        const first = await shiftTraffic(lambda, options);
+        expect(first.complete).toBe(false);
+        expect(progress.step).toBe(0);
+        expect(options.bake).toHaveBeenCalledWith({ weight: 10, bakeMs: 300000 }, 0);
+
+        progress.stepStartedAt -= 300000;
+        const resumed = await shiftTraffic(lambda, options);
+
+        expect(resumed.complete).toBe(true);
+        expect(lambda.updateAlias).toHaveBeenCalledTimes(2);
+        expect(lambda.updateAlias).toHaveBeenLastCalledWith(expect.objectContaining({ FunctionVersion: '4' }));
+    });
+});